@@ -0,0 +1,115 @@
+// decay-estimator.js
+
+/**
+ * Estimación del reingreso de objetos en órbita baja.
+ * La tasa de caída de la altitud media sale del historial de elementos (ajuste lineal de las
+ * últimas semanas) o, si no alcanza, del término de arrastre del TLE (derivada del movimiento medio).
+ * Desde ahí se integra hacia abajo suponiendo que la caída es proporcional a la densidad del aire,
+ * con la atmósfera exponencial de Vallado. La actividad solar no se modela: por eso se da una ventana.
+ * Solo depende de `satellite`.
+ */
+const decayEstimator = {
+    REENTRY_ALTITUDE_KM: 120,
+    EARTH_RADIUS_KM: 6378.137,
+    MU: 398600.4418,
+    WINDOW_FRACTION: 0.2,        // Ancho de la ventana: ±20 % del tiempo que le queda
+    MIN_WINDOW_HOURS: 1,
+    HISTORY_DAYS: 30,            // Del historial se usan los elementos de las últimas semanas
+    MIN_HISTORY_SPAN_DAYS: 2,
+    STEP_KM: 0.5,
+
+    // Altitud base (km), densidad (kg/m³) y altura de escala (km) de cada capa
+    DENSITY_TABLE: [
+        [100, 5.297e-7, 5.877], [110, 9.661e-8, 7.263], [120, 2.438e-8, 9.473], [130, 8.484e-9, 12.636],
+        [140, 3.845e-9, 16.149], [150, 2.070e-9, 22.523], [180, 5.464e-10, 29.740], [200, 2.789e-10, 37.105],
+        [250, 7.248e-11, 45.546], [300, 2.418e-11, 53.628], [350, 9.518e-12, 53.298], [400, 3.725e-12, 58.515],
+        [450, 1.585e-12, 60.828], [500, 6.967e-13, 63.822], [600, 1.454e-13, 71.835], [700, 3.614e-14, 88.667],
+        [800, 1.170e-14, 124.64], [900, 5.245e-15, 181.05], [1000, 3.019e-15, 268.00]
+    ],
+
+    density(altitude) {
+        let layer = this.DENSITY_TABLE[0];
+        for (const row of this.DENSITY_TABLE) {
+            if (altitude >= row[0]) layer = row;
+        }
+        const [baseAltitude, baseDensity, scaleHeight] = layer;
+        return baseDensity * Math.exp(-(altitude - baseAltitude) / scaleHeight);
+    },
+
+    meanAltitude(satrec) {
+        const meanMotion = satrec.no / 60; // rad/s
+        return Math.cbrt(this.MU / meanMotion ** 2) - this.EARTH_RADIUS_KM;
+    },
+
+    /**
+     * Caída de la altitud media según el historial (km/día, positiva si baja), o null si hay pocos datos.
+     * @param {object[]} history - Registros { epoch, meanAltitude } ordenados por época.
+     * @param {number} referenceEpoch - ms; se usan los registros de los `HISTORY_DAYS` anteriores.
+     */
+    rateFromHistory(history, referenceEpoch) {
+        const dayMs = 86400000;
+        const recent = history.filter(r => r.epoch <= referenceEpoch && referenceEpoch - r.epoch <= this.HISTORY_DAYS * dayMs);
+        if (recent.length < 3) return null;
+        const days = recent.map(r => (r.epoch - referenceEpoch) / dayMs);
+        if (days[days.length - 1] - days[0] < this.MIN_HISTORY_SPAN_DAYS) return null;
+
+        const meanX = days.reduce((sum, x) => sum + x, 0) / days.length;
+        const meanY = recent.reduce((sum, r) => sum + r.meanAltitude, 0) / recent.length;
+        let numerator = 0, denominator = 0;
+        recent.forEach((r, i) => {
+            numerator += (days[i] - meanX) * (r.meanAltitude - meanY);
+            denominator += (days[i] - meanX) ** 2;
+        });
+        return denominator > 0 ? -numerator / denominator : null;
+    },
+
+    // Caída de la altitud media según la derivada del movimiento medio del TLE (km/día)
+    rateFromDrag(satrec) {
+        const meanMotion = satrec.no; // rad/min
+        // satellite.js deja ndot como viene en el TLE: la mitad de dn/dt, en rev/día²
+        const meanMotionRate = 2 * satrec.ndot * 2 * Math.PI / 1440 ** 2; // rad/min²
+        const semiMajorAxis = this.meanAltitude(satrec) + this.EARTH_RADIUS_KM;
+        return (2 / 3) * (semiMajorAxis / meanMotion) * meanMotionRate * 1440;
+    },
+
+    /**
+     * Estima cuándo reingresa el objeto.
+     * @param {object} satrec
+     * @param {object[]} history - Historial del satélite (puede estar vacío).
+     * @returns {{reentry: Date, windowStart: Date, windowEnd: Date, rateKmPerDay: number, altitude: number, source: 'history'|'drag'}|null}
+     *          null si el objeto no está bajando o está por encima del modelo de atmósfera.
+     */
+    estimate(satrec, history = []) {
+        const epoch = (satrec.jdsatepoch - 2440587.5) * 86400000;
+        const altitude = this.meanAltitude(satrec);
+        if (altitude > 1000 || (satrec.ecco || 0) > 0.1) return null;
+
+        let source = 'history';
+        let rate = this.rateFromHistory(history, epoch);
+        if (rate === null || rate <= 0) {
+            source = 'drag';
+            rate = this.rateFromDrag(satrec);
+        }
+        if (!(rate > 0)) return null;
+
+        // dh/dt = -rate · ρ(h) / ρ(h0): se integra el tiempo que tarda en bajar hasta la interfaz de reingreso
+        const referenceDensity = this.density(altitude);
+        let days = 0;
+        for (let h = altitude; h > this.REENTRY_ALTITUDE_KM; h -= this.STEP_KM) {
+            const step = Math.min(this.STEP_KM, h - this.REENTRY_ALTITUDE_KM);
+            days += step / (rate * this.density(h - step / 2) / referenceDensity);
+        }
+
+        const remainingMs = days * 86400000;
+        const halfWindowMs = Math.max(remainingMs * this.WINDOW_FRACTION, this.MIN_WINDOW_HOURS * 3600000);
+        const reentry = epoch + remainingMs;
+        return {
+            reentry: new Date(reentry),
+            windowStart: new Date(Math.max(epoch, reentry - halfWindowMs)),
+            windowEnd: new Date(reentry + halfWindowMs),
+            rateKmPerDay: rate,
+            altitude,
+            source
+        };
+    }
+};
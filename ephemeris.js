@@ -0,0 +1,221 @@
+// ephemeris.js
+
+/**
+ * Efemérides del Sol y la Luna compartidas por toda la app (y por pass-worker.js).
+ * Sigue a Meeus, "Astronomical Algorithms" (cap. 22, 25 y 47): longitud aparente con
+ * nutación y aberración (tiempo de luz), y la Luna con las series completas de las tablas 47.A/47.B.
+ * La precisión es del orden del minuto de arco, suficiente para terminador, sombras y radar.
+ * Las posiciones ECI están referidas al ecuador y equinoccio verdaderos de la fecha, el mismo
+ * marco (TEME, a efectos prácticos) que usa satellite.js.
+ */
+const ephemeris = {
+    AU_KM: 149597870.7,
+    LIGHT_SPEED_KM_S: 299792.458,
+    DELTA_T_SECONDS: 69, // TT − UTC aproximado para esta década
+
+    // Términos de la Luna: [D, M, M', F, Σl (1e-6 °), Σr (m)] (Meeus, tabla 47.A)
+    MOON_LON_DIST_TERMS: [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+        [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+        [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+        [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+        [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+        [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+        [0, 2, 0, 0, -2069, 0], [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958], [0, 0, 2, 2, -1110, 0],
+        [3, 0, -1, 0, -892, 3258], [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354], [2, 1, -2, 0, 691, 0],
+        [2, -1, 0, -2, 596, 0], [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739], [2, 1, 0, -2, -399, 0],
+        [0, 0, 2, -2, -381, -4421], [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0], [0, 2, 1, 0, -323, 1165],
+        [1, 1, -1, 0, 299, 0], [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+    ],
+
+    // Términos de la Luna: [D, M, M', F, Σb (1e-6 °)] (Meeus, tabla 47.B)
+    MOON_LAT_TERMS: [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+        [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+        [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+        [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+        [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+        [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833], [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+        [2, 0, 0, -3, 607], [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+        [2, 1, 0, 1, -351], [4, 0, 0, 1, 331], [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+        [0, 0, 1, 3, -283], [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+        [0, 1, 2, 1, -177], [4, 0, -2, -1, 176], [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+        [4, 0, 1, -1, 132], [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+    ],
+
+    _rad(deg) { return deg * Math.PI / 180; },
+    _deg(rad) { return rad * 180 / Math.PI; },
+    _normalize(deg) { return ((deg % 360) + 360) % 360; },
+
+    /**
+     * Siglos julianos de tiempo terrestre desde J2000.0.
+     * @param {Date} date - Instante en UTC.
+     * @returns {number}
+     */
+    julianCenturies(date) {
+        const jd = new Date(date).getTime() / 86400000 + 2440587.5;
+        return (jd + this.DELTA_T_SECONDS / 86400 - 2451545.0) / 36525;
+    },
+
+    /**
+     * Nutación en longitud y oblicuidad verdadera de la eclíptica (Meeus, cap. 22, versión abreviada).
+     * @param {number} T - Siglos julianos TT.
+     * @returns {{deltaPsi: number, epsilon: number}} - Δψ y ε en grados.
+     */
+    nutation(T) {
+        const omega = this._rad(125.04452 - 1934.136261 * T);
+        const L = this._rad(280.4665 + 36000.7698 * T);
+        const Lm = this._rad(218.3165 + 481267.8813 * T);
+        const deltaPsi = -17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L) - 0.23 * Math.sin(2 * Lm) + 0.21 * Math.sin(2 * omega);
+        const deltaEps = 9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L) + 0.10 * Math.cos(2 * Lm) - 0.09 * Math.cos(2 * omega);
+        const epsilon0 = 23.43929111 - (46.8150 * T + 0.00059 * T * T - 0.001813 * T * T * T) / 3600;
+        return { deltaPsi: deltaPsi / 3600, epsilon: epsilon0 + deltaEps / 3600 };
+    },
+
+    _toEquatorial(lambda, beta, epsilon) {
+        const l = this._rad(lambda), b = this._rad(beta), e = this._rad(epsilon);
+        const ra = Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l));
+        const dec = Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l));
+        return { ra: this._normalize(this._deg(ra)), dec: this._deg(dec) };
+    },
+
+    /**
+     * Posición aparente del Sol (Meeus, cap. 25). La aberración anual incluye el tiempo de luz.
+     * @param {Date} date - Instante en UTC.
+     * @returns {{lambda: number, ra: number, dec: number, distance: number}} - Grados y km.
+     */
+    sunPosition(date) {
+        const T = this.julianCenturies(date);
+        const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+        const M = this._rad(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+        const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M)
+            + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+            + 0.000289 * Math.sin(3 * M);
+        const trueLongitude = L0 + C;
+        const R = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(M + this._rad(C)));
+
+        const { deltaPsi, epsilon } = this.nutation(T);
+        const lambda = this._normalize(trueLongitude + deltaPsi - 20.4898 / 3600 / R);
+        return { lambda, ...this._toEquatorial(lambda, 0, epsilon), distance: R * this.AU_KM };
+    },
+
+    /**
+     * Posición aparente de la Luna (Meeus, cap. 47), corregida por tiempo de luz.
+     * @param {Date} date - Instante en UTC.
+     * @returns {{lambda: number, beta: number, ra: number, dec: number, distance: number}} - Grados y km.
+     */
+    moonPosition(date) {
+        // La luz tarda ~1.3 s en llegar: se evalúa la posición en el instante en que fue emitida
+        // (con la distancia media; la variación de la distancia cambia ese tiempo en menos de 0.1 s)
+        const emitted = new Date(new Date(date).getTime() - 385000.56 / this.LIGHT_SPEED_KM_S * 1000);
+        const T = this.julianCenturies(emitted);
+        const { lambda, beta, distance } = this._moonGeometric(T);
+
+        const { deltaPsi, epsilon } = this.nutation(T);
+        const apparentLambda = this._normalize(lambda + deltaPsi);
+        return { lambda: apparentLambda, beta, ...this._toEquatorial(apparentLambda, beta, epsilon), distance };
+    },
+
+    _moonGeometric(T) {
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841 - T ** 4 / 65194000;
+        const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868 - T ** 4 / 113065000;
+        const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T ** 3 / 24490000;
+        const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699 - T ** 4 / 14712000;
+        const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000 + T ** 4 / 863310000;
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+        const A1 = 119.75 + 131.849 * T, A2 = 53.09 + 479264.290 * T, A3 = 313.45 + 481266.484 * T;
+
+        // Argumentos reducidos a una vuelta y en radianes: la serie se evalúa miles de veces en las búsquedas
+        const d0 = this._rad(this._normalize(D)), m0 = this._rad(this._normalize(M)), mp0 = this._rad(this._normalize(Mp)), f0 = this._rad(this._normalize(F));
+        let sumL = 0, sumR = 0, sumB = 0;
+        for (const [d, m, mp, f, l, r] of this.MOON_LON_DIST_TERMS) {
+            const arg = d * d0 + m * m0 + mp * mp0 + f * f0;
+            const eccentricity = m === 0 ? 1 : (Math.abs(m) === 1 ? E : E * E);
+            sumL += l * eccentricity * Math.sin(arg);
+            sumR += r * eccentricity * Math.cos(arg);
+        }
+        for (const [d, m, mp, f, b] of this.MOON_LAT_TERMS) {
+            const eccentricity = m === 0 ? 1 : (Math.abs(m) === 1 ? E : E * E);
+            sumB += b * eccentricity * Math.sin(d * d0 + m * m0 + mp * mp0 + f * f0);
+        }
+
+        sumL += 3958 * Math.sin(this._rad(A1)) + 1962 * Math.sin(this._rad(Lp - F)) + 318 * Math.sin(this._rad(A2));
+        sumB += -2235 * Math.sin(this._rad(Lp)) + 382 * Math.sin(this._rad(A3)) + 175 * Math.sin(this._rad(A1 - F))
+            + 175 * Math.sin(this._rad(A1 + F)) + 127 * Math.sin(this._rad(Lp - Mp)) - 115 * Math.sin(this._rad(Lp + Mp));
+
+        return {
+            lambda: this._normalize(Lp + sumL / 1e6),
+            beta: sumB / 1e6,
+            distance: 385000.56 + sumR / 1000
+        };
+    },
+
+    _toEci({ ra, dec, distance }) {
+        const a = this._rad(ra), d = this._rad(dec);
+        return { x: distance * Math.cos(d) * Math.cos(a), y: distance * Math.cos(d) * Math.sin(a), z: distance * Math.sin(d) };
+    },
+
+    /**
+     * Vector geocéntrico ECI del Sol en km.
+     * @param {Date} date - Instante en UTC.
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getSunEci(date) {
+        return this._toEci(this.sunPosition(date));
+    },
+
+    /**
+     * Vector geocéntrico ECI de la Luna en km.
+     * @param {Date} date - Instante en UTC.
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getMoonEci(date) {
+        return this._toEci(this.moonPosition(date));
+    },
+
+    /**
+     * Ángulos topocéntricos de un vector ECI vistos desde el observador (con paralaje).
+     * @param {{x: number, y: number, z: number}} eci - Posición en km.
+     * @param {Date} date - Instante en UTC.
+     * @param {{latitude: number, longitude: number, height: number}} observerGd - Radianes y km.
+     * @returns {{azimuth: number, elevation: number}} - En grados; azimut desde el norte hacia el este.
+     */
+    lookAngles(eci, date, observerGd) {
+        const ecf = satellite.eciToEcf(eci, satellite.gstime(new Date(date)));
+        const look = satellite.ecfToLookAngles(observerGd, ecf);
+        return { azimuth: this._deg(look.azimuth), elevation: this._deg(look.elevation) };
+    },
+
+    getSunLookAngles(date, observerGd) {
+        return this.lookAngles(this.getSunEci(date), date, observerGd);
+    },
+
+    getMoonLookAngles(date, observerGd) {
+        return this.lookAngles(this.getMoonEci(date), date, observerGd);
+    },
+
+    /**
+     * Punto subsolar (donde el Sol está en el cenit).
+     * @param {Date} date - Instante en UTC.
+     * @returns {{lat: number, lon: number}} - Grados; longitud en [-180, 180).
+     */
+    getSubsolarPoint(date) {
+        const { ra, dec } = this.sunPosition(date);
+        const gmst = this._deg(satellite.gstime(new Date(date)));
+        return { lat: dec, lon: this._normalize(ra - gmst + 180) - 180 };
+    }
+};
@@ -0,0 +1,218 @@
+// omm.js
+
+/**
+ * Lectura de elementos orbitales en formato OMM (CCSDS), tal como los sirve CelesTrak
+ * en JSON, XML o CSV, y conversión a satrec.
+ * El resto de la app sigue trabajando con texto TLE, así que cada registro se traduce también
+ * a sus dos líneas (con número de catálogo alpha-5 cuando no entra en 5 dígitos).
+ * Se carga en la página y en `pass-worker.js`; solo depende de `satellite`.
+ */
+const ommParser = {
+    NUMERIC_FIELDS: [
+        'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY',
+        'EPHEMERIS_TYPE', 'NORAD_CAT_ID', 'ELEMENT_SET_NO', 'REV_AT_EPOCH', 'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT'
+    ],
+    TEXT_FIELDS: ['OBJECT_NAME', 'OBJECT_ID', 'EPOCH', 'CLASSIFICATION_TYPE', 'CENTER_NAME', 'REF_FRAME', 'TIME_SYSTEM', 'MEAN_ELEMENT_THEORY'],
+    REQUIRED_FIELDS: ['EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID'],
+    // Letras del formato alpha-5 (sin I ni O para no confundirlas con 1 y 0)
+    ALPHA5_LETTERS: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+
+    /**
+     * Indica si el texto parece OMM (JSON, XML o CSV con cabecera) en lugar de TLE.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    isOmmText(text) {
+        const trimmed = (text || '').trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{') || trimmed.startsWith('<')) return true;
+        const firstLine = trimmed.split('\n')[0];
+        return firstLine.includes('OBJECT_NAME') && firstLine.includes(',');
+    },
+
+    /**
+     * Lee uno o varios registros OMM. Los registros incompletos se descartan.
+     * @param {string} text - OMM en JSON, XML o CSV.
+     * @returns {object[]} - Registros con los nombres de campo del estándar y valores numéricos ya convertidos.
+     */
+    parse(text) {
+        const trimmed = (text || '').trim();
+        let records = [];
+        try {
+            if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+                const data = JSON.parse(trimmed);
+                records = Array.isArray(data) ? data : [data];
+            } else if (trimmed.startsWith('<')) {
+                records = this._parseXml(trimmed);
+            } else {
+                records = this._parseCsv(trimmed);
+            }
+        } catch (e) {
+            console.error("Error leyendo datos OMM:", e);
+            return [];
+        }
+        return records.map(record => this.normalize(record)).filter(Boolean);
+    },
+
+    /**
+     * Deja solo los campos conocidos, con números donde corresponde. Devuelve null si falta algún campo obligatorio.
+     */
+    normalize(record) {
+        if (!record || typeof record !== 'object') return null;
+        const normalized = {};
+        this.TEXT_FIELDS.forEach(field => {
+            if (record[field] !== undefined && record[field] !== null && record[field] !== '') normalized[field] = String(record[field]).trim();
+        });
+        this.NUMERIC_FIELDS.forEach(field => {
+            if (record[field] === undefined || record[field] === null || record[field] === '') return;
+            const value = Number(record[field]);
+            if (!Number.isNaN(value)) normalized[field] = value;
+        });
+        if (this.REQUIRED_FIELDS.some(field => normalized[field] === undefined)) return null;
+        if (!normalized.OBJECT_NAME) normalized.OBJECT_NAME = `SAT-${normalized.NORAD_CAT_ID}`;
+        return normalized;
+    },
+
+    _parseXml(text) {
+        const decode = (value) => value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+        const fields = [...this.TEXT_FIELDS, ...this.NUMERIC_FIELDS];
+        const blocks = text.match(/<omm[\s>][\s\S]*?<\/omm>/gi) || [text];
+        return blocks.map(block => {
+            const record = {};
+            fields.forEach(field => {
+                const match = block.match(new RegExp(`<${field}>([^<]*)</${field}>`));
+                if (match) record[field] = decode(match[1]);
+            });
+            return record;
+        });
+    },
+
+    _parseCsv(text) {
+        const splitRow = (row) => {
+            const cells = [];
+            let current = '', quoted = false;
+            for (const char of row) {
+                if (char === '"') quoted = !quoted;
+                else if (char === ',' && !quoted) { cells.push(current); current = ''; }
+                else current += char;
+            }
+            cells.push(current);
+            return cells.map(cell => cell.trim());
+        };
+        const rows = text.split('\n').map(row => row.trim()).filter(Boolean);
+        const header = splitRow(rows.shift() || '');
+        return rows.map(row => {
+            const cells = splitRow(row);
+            return Object.fromEntries(header.map((field, i) => [field, cells[i]]));
+        });
+    },
+
+    /**
+     * Número de catálogo en el campo de 5 caracteres del TLE: hasta 99999 tal cual, hasta 339999
+     * en alpha-5 (letra + 4 dígitos). Más allá el TLE no lo puede representar y devuelve null.
+     */
+    encodeAlpha5(noradId) {
+        if (noradId < 100000) return String(noradId).padStart(5, '0');
+        const letterIndex = Math.floor(noradId / 10000) - 10;
+        if (letterIndex >= this.ALPHA5_LETTERS.length) return null;
+        return this.ALPHA5_LETTERS[letterIndex] + String(noradId % 10000).padStart(4, '0');
+    },
+
+    /**
+     * Lee el campo de catálogo de un TLE, en formato numérico o alpha-5.
+     * @param {string} field - Los 5 caracteres del número de catálogo.
+     * @returns {number|null}
+     */
+    decodeAlpha5(field) {
+        const value = (field || '').trim();
+        if (/^\d+$/.test(value)) return parseInt(value, 10);
+        const letterIndex = this.ALPHA5_LETTERS.indexOf(value.charAt(0).toUpperCase());
+        if (letterIndex === -1 || !/^\d{4}$/.test(value.substring(1))) return null;
+        return (letterIndex + 10) * 10000 + parseInt(value.substring(1), 10);
+    },
+
+    _checksum(line) {
+        let sum = 0;
+        for (const char of line) {
+            if (char >= '0' && char <= '9') sum += Number(char);
+            else if (char === '-') sum += 1;
+        }
+        return sum % 10;
+    },
+
+    // Formato exponencial del TLE con punto decimal implícito: ±MMMMM±E
+    _formatExponent(value) {
+        if (!value) return ' 00000+0';
+        let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+        let mantissa = Math.round(Math.abs(value) / 10 ** exponent * 1e5);
+        if (mantissa >= 1e5) { mantissa = 1e4; exponent += 1; }
+        exponent = Math.max(-9, Math.min(9, exponent));
+        return `${value < 0 ? '-' : ' '}${String(mantissa).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+    },
+
+    // Época OMM (UTC, con o sin Z) a milisegundos sin depender de cómo interprete el navegador los microsegundos
+    parseEpoch(epoch) {
+        const match = String(epoch).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)/);
+        if (!match) return null;
+        const [, year, month, day, hours, minutes, seconds] = match;
+        return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)) + Number(seconds) * 1000;
+    },
+
+    /**
+     * Traduce un registro OMM a las dos líneas del TLE equivalente.
+     * @param {object} record - Registro normalizado.
+     * @returns {{line1: string, line2: string}|null}
+     */
+    toTleLines(record) {
+        const epochMs = this.parseEpoch(record.EPOCH);
+        if (epochMs === null) return null;
+        const epochYear = new Date(epochMs).getUTCFullYear();
+        const dayOfYear = (epochMs - Date.UTC(epochYear, 0, 1)) / 86400000 + 1;
+
+        // Si el número no entra ni en alpha-5 se deja en cero: el real queda en el registro OMM
+        const catalog = this.encodeAlpha5(record.NORAD_CAT_ID) || '00000';
+        const classification = (record.CLASSIFICATION_TYPE || 'U').charAt(0);
+        const objectId = record.OBJECT_ID || '';
+        const designatorMatch = objectId.match(/^\d{2}(\d{2})-(\d{3}[A-Z]{0,3})/);
+        const designator = (designatorMatch ? designatorMatch[1] + designatorMatch[2] : '').padEnd(8, ' ');
+        const meanMotionDot = record.MEAN_MOTION_DOT || 0;
+        const ndot = `${meanMotionDot < 0 ? '-' : ' '}${Math.abs(meanMotionDot).toFixed(8).substring(1)}`;
+
+        const line1Body = [
+            `1 ${catalog}${classification} ${designator}`,
+            `${String(epochYear % 100).padStart(2, '0')}${dayOfYear.toFixed(8).padStart(12, '0')}`,
+            ndot,
+            this._formatExponent(record.MEAN_MOTION_DDOT || 0),
+            this._formatExponent(record.BSTAR || 0),
+            `${record.EPHEMERIS_TYPE || 0} ${String((record.ELEMENT_SET_NO || 0) % 10000).padStart(4, ' ')}`
+        ].join(' ');
+
+        const angle = (value) => (((value % 360) + 360) % 360).toFixed(4).padStart(8, ' ');
+        const line2Body = [
+            `2 ${catalog}`,
+            angle(record.INCLINATION),
+            angle(record.RA_OF_ASC_NODE),
+            record.ECCENTRICITY.toFixed(7).substring(2),
+            angle(record.ARG_OF_PERICENTER),
+            angle(record.MEAN_ANOMALY),
+            `${record.MEAN_MOTION.toFixed(8).padStart(11, ' ')}${String((record.REV_AT_EPOCH || 0) % 100000).padStart(5, ' ')}`
+        ].join(' ');
+
+        return {
+            line1: line1Body + this._checksum(line1Body),
+            line2: line2Body + this._checksum(line2Body)
+        };
+    },
+
+    /**
+     * Crea el satrec de un registro OMM. Usa `satellite.json2satrec` cuando la versión cargada
+     * de satellite.js lo trae; si no, inicializa SGP4 desde las líneas TLE equivalentes.
+     * @param {object} record - Registro normalizado.
+     * @returns {object} - satrec.
+     */
+    toSatrec(record) {
+        if (typeof satellite.json2satrec === 'function') return satellite.json2satrec(record);
+        const lines = this.toTleLines(record);
+        if (!lines) throw new Error(`Época OMM inválida: ${record.EPOCH}`);
+        return satellite.twoline2satrec(lines.line1, lines.line2);
+    }
+};
@@ -0,0 +1,416 @@
+// pass-calculator.js
+
+/**
+ * Lógica de detección de pases visibles, sin dependencias del DOM ni de `App`.
+ * Se carga tanto en la página como dentro de `pass-worker.js`, por lo que
+ * solo puede usar `satellite` y `ephemeris`. Los valores de configuración
+ * llegan siempre por parámetro.
+ */
+const passCalculator = {
+    defaults: {
+        sunAltitudeLimit: -6,  // Altura del Sol (grados) por debajo de la cual el cielo se considera oscuro
+        maxPasses: 20,
+        minElevation: 10,      // Máscara de elevación en grados
+        scanStepSeconds: 60,   // Paso del barrido grueso
+        sampleStepSeconds: 10, // Separación de los puntos guardados dentro de cada pase
+        toleranceMs: 500,      // Precisión del refinamiento de eventos
+        flareMagnitudeLimit: 2 // Solo se informan destellos al menos así de brillantes
+    },
+
+    /**
+     * Posición del Sol en coordenadas ECI, tomada de `ephemeris.js`.
+     * @param {Date} date - La fecha/hora para el cálculo.
+     * @returns {{x: number, y: number, z: number}} - Vector de posición ECI en km.
+     */
+    getSunEci(date) {
+        return ephemeris.getSunEci(date);
+    },
+
+    /**
+     * Fracción del disco solar visible desde el satélite (1 = pleno Sol, 0 = umbra), con sombra
+     * cónica: se compara el radio angular del Sol y de la Tierra vistos desde el satélite.
+     * @param {{x: number, y: number, z: number}} satEci - Posición ECI del satélite en km.
+     * @param {Date} date - La fecha/hora para el cálculo.
+     * @returns {number} - Fracción iluminada entre 0 y 1.
+     */
+    getIlluminationFraction(satEci, date) {
+        const sunEci = this.getSunEci(date);
+        const toSun = { x: sunEci.x - satEci.x, y: sunEci.y - satEci.y, z: sunEci.z - satEci.z };
+        const sunDistance = Math.sqrt(toSun.x ** 2 + toSun.y ** 2 + toSun.z ** 2);
+        const earthDistance = Math.sqrt(satEci.x ** 2 + satEci.y ** 2 + satEci.z ** 2);
+
+        const sunRadius = Math.asin(Math.min(1, 696000 / sunDistance));
+        const earthRadius = Math.asin(Math.min(1, 6378.137 / earthDistance));
+        // Separación angular entre el centro del Sol y el de la Tierra
+        const cosSeparation = -(toSun.x * satEci.x + toSun.y * satEci.y + toSun.z * satEci.z) / (sunDistance * earthDistance);
+        const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+
+        if (separation >= sunRadius + earthRadius) return 1;            // Pleno Sol
+        if (separation <= earthRadius - sunRadius) return 0;            // Umbra
+        if (separation <= sunRadius - earthRadius) return 1 - (earthRadius ** 2) / (sunRadius ** 2); // Anular
+
+        // Penumbra: área de intersección de los dos discos
+        const x = (separation ** 2 + sunRadius ** 2 - earthRadius ** 2) / (2 * separation);
+        const y = Math.sqrt(Math.max(0, sunRadius ** 2 - x ** 2));
+        const overlap = sunRadius ** 2 * Math.acos(Math.max(-1, Math.min(1, x / sunRadius)))
+            + earthRadius ** 2 * Math.acos(Math.max(-1, Math.min(1, (separation - x) / earthRadius)))
+            - separation * y;
+        return Math.max(0, Math.min(1, 1 - overlap / (Math.PI * sunRadius ** 2)));
+    },
+
+    // Se considera iluminado mientras ve al menos la mitad del disco solar (mitad de la penumbra)
+    isSatIlluminated(satEci, date) {
+        return this.getIlluminationFraction(satEci, date) > 0.5;
+    },
+
+    /**
+     * El observador está a oscuras si la altura topocéntrica del Sol en ese instante
+     * está por debajo del límite (−6° crepúsculo civil, −12° náutico, etc.).
+     * En altura el horizonte desciende, así que el límite se corre según la depresión del horizonte.
+     */
+    isObserverInDarkness(time, coords, sunAltitudeLimit = this.defaults.sunAltitudeLimit, observerHeight = 0) {
+        const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: observerHeight };
+        const sunAltitude = ephemeris.getSunLookAngles(time, observerGd).elevation;
+        const horizonDip = observerHeight > 0 ? satellite.radiansToDegrees(Math.acos(6378.137 / (6378.137 + observerHeight))) : 0;
+        return sunAltitude < sunAltitudeLimit - horizonDip;
+    },
+
+    /**
+     * Refracción atmosférica estándar (fórmula de Sæmundsson corregida por presión y temperatura).
+     * Convierte una elevación geométrica en grados en la aparente.
+     * @param {number} elevation - Elevación geométrica en grados.
+     * @param {?{temperature: number, pressure: number}} refraction - °C y hPa, o null para no corregir.
+     * @returns {number} - Elevación aparente en grados.
+     */
+    applyRefraction(elevation, refraction) {
+        if (!refraction || elevation < -1) return elevation;
+        const arcMinutes = 1.02 / Math.tan(satellite.degreesToRadians(elevation + 10.3 / (elevation + 5.11)));
+        const factor = (refraction.pressure / 1010) * (283 / (273 + refraction.temperature));
+        return elevation + Math.max(0, arcMinutes * factor) / 60;
+    },
+
+    /**
+     * Elevación (aparente si hay refracción), azimut y posición ECI del satélite vistos desde el observador.
+     * Devuelve null si SGP4 falla (por ejemplo, si el objeto ya decayó).
+     */
+    _lookAt(satrec, observerGd, time, refraction = null) {
+        try {
+            const posVel = satellite.propagate(satrec, time);
+            if (!posVel.position) return null;
+            const posEcf = satellite.eciToEcf(posVel.position, satellite.gstime(time));
+            const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
+            return { elevation: this.applyRefraction(satellite.radiansToDegrees(lookAngles.elevation), refraction), azimuth: lookAngles.azimuth, position: posVel.position };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Bisección sobre el tiempo: `predicate` debe dar distinto en t0 y t1.
+     * Devuelve el primer instante (en ms) con el valor que tiene en t1.
+     */
+    _findTransition(t0, t1, predicate, toleranceMs) {
+        const startValue = predicate(t0);
+        while (Math.abs(t1 - t0) > toleranceMs) {
+            const mid = (t0 + t1) / 2;
+            if (predicate(mid) === startValue) t0 = mid; else t1 = mid;
+        }
+        return Math.round(t1);
+    },
+
+    /**
+     * Búsqueda de sección áurea del máximo de `f` en [t0, t1] (en ms).
+     */
+    _findMaximum(t0, t1, f, toleranceMs) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = t0, b = t1;
+        let c = b - ratio * (b - a), d = a + ratio * (b - a);
+        let fc = f(c), fd = f(d);
+        while (b - a > toleranceMs) {
+            if (fc > fd) {
+                b = d; d = c; fd = fc;
+                c = b - ratio * (b - a); fc = f(c);
+            } else {
+                a = c; c = d; fc = fd;
+                d = a + ratio * (b - a); fd = f(d);
+            }
+        }
+        const time = Math.round((a + b) / 2);
+        return { time, value: f(time) };
+    },
+
+    /**
+     * Normal (vector unitario ECI) de la superficie especular según el modelo de actitud:
+     * 'nadir' para paneles que miran a la Tierra (Starlink) y 'sunTracking' para paneles solares
+     * que giran sobre un eje perpendicular al plano de la órbita siguiendo al Sol.
+     */
+    _getFlareNormal(attitude, position, velocity, toSun) {
+        const unit = (v) => { const n = Math.hypot(v.x, v.y, v.z); return n > 0 ? { x: v.x / n, y: v.y / n, z: v.z / n } : null; };
+        if (attitude === 'nadir') return unit({ x: -position.x, y: -position.y, z: -position.z });
+        if (attitude === 'sunTracking' && velocity) {
+            const axis = unit({
+                x: position.y * velocity.z - position.z * velocity.y,
+                y: position.z * velocity.x - position.x * velocity.z,
+                z: position.x * velocity.y - position.y * velocity.x
+            });
+            if (!axis) return null;
+            const along = toSun.x * axis.x + toSun.y * axis.y + toSun.z * axis.z;
+            return unit({ x: toSun.x - along * axis.x, y: toSun.y - along * axis.y, z: toSun.z - along * axis.z });
+        }
+        return null;
+    },
+
+    /**
+     * Reflejo especular del Sol visto por el observador en un instante.
+     * `offset` es el ángulo (grados) entre el rayo reflejado y la dirección al observador.
+     * La potencia reflejada se reparte en un cono del tamaño del disco solar o de la dispersión
+     * de la superficie (lo que sea mayor), y se atenúa en gaussiana al alejarse de su centro.
+     * @param {object} satrec - Satrec del satélite.
+     * @param {{latitude: number, longitude: number, height: number}} observerGd - Observador en radianes y km.
+     * @param {Date} time - Instante del cálculo.
+     * @param {{attitude: string, area: number, reflectivity: number, spreadDegrees: number}} flareModel - Modelo de la clase de objeto.
+     * @param {object|null} refraction - Condiciones para la refracción, o null.
+     * @returns {{time: Date, offset: number, magnitude: number, elevation: number, az: number}|null}
+     */
+    getFlareAt(satrec, observerGd, time, flareModel, refraction = null) {
+        try {
+            const posVel = satellite.propagate(satrec, time);
+            if (!posVel.position) return null;
+            const sat = posVel.position;
+            const illumination = this.getIlluminationFraction(sat, time);
+            if (illumination <= 0) return null;
+
+            const gmst = satellite.gstime(time);
+            const observerEci = satellite.ecfToEci(satellite.geodeticToEcf(observerGd), gmst);
+            const sunEci = this.getSunEci(time);
+            const toSunRaw = { x: sunEci.x - sat.x, y: sunEci.y - sat.y, z: sunEci.z - sat.z };
+            const toObserverRaw = { x: observerEci.x - sat.x, y: observerEci.y - sat.y, z: observerEci.z - sat.z };
+            const sunDistance = Math.hypot(toSunRaw.x, toSunRaw.y, toSunRaw.z);
+            const range = Math.hypot(toObserverRaw.x, toObserverRaw.y, toObserverRaw.z);
+            const toSun = { x: toSunRaw.x / sunDistance, y: toSunRaw.y / sunDistance, z: toSunRaw.z / sunDistance };
+            const toObserver = { x: toObserverRaw.x / range, y: toObserverRaw.y / range, z: toObserverRaw.z / range };
+
+            const normal = this._getFlareNormal(flareModel.attitude, sat, posVel.velocity, toSun);
+            if (!normal) return null;
+            const incidence = toSun.x * normal.x + toSun.y * normal.y + toSun.z * normal.z;
+            // El Sol y el observador tienen que quedar del lado reflectante de la superficie
+            if (incidence <= 0 || toObserver.x * normal.x + toObserver.y * normal.y + toObserver.z * normal.z <= 0) return null;
+
+            const reflected = { x: 2 * incidence * normal.x - toSun.x, y: 2 * incidence * normal.y - toSun.y, z: 2 * incidence * normal.z - toSun.z };
+            const cosOffset = reflected.x * toObserver.x + reflected.y * toObserver.y + reflected.z * toObserver.z;
+            const offset = Math.acos(Math.max(-1, Math.min(1, cosOffset)));
+
+            const spread = Math.max(Math.asin(Math.min(1, 696000 / sunDistance)), satellite.degreesToRadians(flareModel.spreadDegrees || 0));
+            const peakRatio = (flareModel.reflectivity * flareModel.area * incidence * illumination) / ((range * 1000) ** 2 * Math.PI * spread ** 2);
+            const look = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(sat, gmst));
+            const elevation = this.applyRefraction(satellite.radiansToDegrees(look.elevation), refraction);
+            if (elevation <= 0) return null;
+
+            // Magnitud del Sol, atenuación fuera del centro del reflejo y extinción atmosférica (k = 0.2)
+            const magnitude = -26.74 - 2.5 * Math.log10(peakRatio) + 2.5 * Math.LOG10E * (offset / spread) ** 2
+                + 0.2 / Math.sin(satellite.degreesToRadians(elevation));
+            return { time: new Date(time), offset: satellite.radiansToDegrees(offset), magnitude, elevation, az: look.azimuth };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Busca el destello más brillante entre instantes ya muestreados (en ms) del tramo visible:
+     * toma la muestra con menor `offset` y la refina con sección áurea entre sus vecinas.
+     * @returns {{time: Date, offset: number, magnitude: number, elevation: number, az: number}|null} - null si no supera el límite de magnitud.
+     */
+    findFlare(satrec, observerGd, times, flareModel, refraction = null) {
+        if (!flareModel || times.length === 0) return null;
+        const flareAt = (t) => this.getFlareAt(satrec, observerGd, new Date(t), flareModel, refraction);
+
+        let bestIndex = -1, best = null;
+        times.forEach((t, i) => {
+            const flare = flareAt(t);
+            if (flare && (!best || flare.offset < best.offset)) { best = flare; bestIndex = i; }
+        });
+        if (!best) return null;
+
+        const t0 = times[Math.max(0, bestIndex - 1)];
+        const t1 = times[Math.min(times.length - 1, bestIndex + 1)];
+        if (t1 > t0) {
+            const peak = this._findMaximum(t0, t1, (t) => { const flare = flareAt(t); return flare ? -flare.offset : -180; }, this.defaults.toleranceMs);
+            const refined = flareAt(peak.time);
+            if (refined && refined.offset < best.offset) best = refined;
+        }
+
+        const limit = flareModel.magnitudeLimit ?? this.defaults.flareMagnitudeLimit;
+        return best.magnitude <= limit ? best : null;
+    },
+
+    /**
+     * Busca los pases visibles de un satélite. Primero recorre el intervalo con un paso grueso
+     * para encerrar cruces del umbral de elevación y culminaciones, y luego refina cada evento
+     * (salida, culminación, entrada/salida de la sombra, puesta) por bisección o sección áurea.
+     * @param {{satrec: object}} sat - Satélite con su satrec ya inicializado.
+     * @param {number[]} coords - [latitud, longitud] del observador en grados.
+     * Con `radio: true` no se exige oscuridad ni iluminación: el pase va de AOS a LOS.
+     * Con `flareModel` se busca además el destello más brillante del tramo visible.
+     * @param {object} options - { days, direction, startDate, sunAltitudeLimit, maxPasses, minElevation, radio, observerHeight, refraction, flareModel }.
+     * @returns {object[]} - Lista de pases con su segmento visible y los instantes AOS, TCA y LOS.
+     */
+    calculateVisiblePasses(sat, coords, options = {}) {
+        const {
+            days = 30,
+            direction = 'future',
+            startDate = new Date(),
+            sunAltitudeLimit = this.defaults.sunAltitudeLimit,
+            maxPasses = this.defaults.maxPasses,
+            minElevation = this.defaults.minElevation,
+            radio = false,
+            observerHeight = 0, // Altitud del observador en km
+            refraction = null,  // { temperature, pressure } para usar elevaciones aparentes
+            flareModel = null   // Modelo de superficie especular de SATELLITES_CONFIG.flareModels
+        } = options;
+        const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: observerHeight };
+        const { scanStepSeconds, toleranceMs } = this.defaults;
+
+        const baseDate = new Date(startDate);
+        if (direction === 'future') {
+            baseDate.setHours(0, 0, 0, 0);
+        }
+
+        // Las búsquedas hacia el pasado se hacen igual, pero sobre la ventana que termina en startDate
+        const rangeMs = days * 24 * 60 * 60000;
+        const rangeStart = direction === 'future' ? baseDate.getTime() : baseDate.getTime() - rangeMs;
+        const rangeEnd = rangeStart + rangeMs;
+        const stepMs = scanStepSeconds * 1000;
+
+        const elevationAt = (t) => {
+            const look = this._lookAt(sat.satrec, observerGd, new Date(t), refraction);
+            return look ? look.elevation : -90;
+        };
+        const isAbove = (t) => elevationAt(t) > minElevation;
+
+        const finalPasses = [];
+        const addPass = (aos, los, culmination = null) => {
+            const pass = this._buildPass(sat, coords, observerGd, aos, los, culmination, { direction, sunAltitudeLimit, radio, refraction, flareModel });
+            if (pass) finalPasses.push(pass);
+        };
+
+        let prevPrevT = null, prevPrevE = null;
+        let prevT = rangeStart, prevE = elevationAt(rangeStart);
+        let aos = prevE > minElevation ? rangeStart : null;
+
+        for (let t = rangeStart + stepMs; t <= rangeEnd; t += stepMs) {
+            const e = elevationAt(t);
+
+            if (aos === null) {
+                if (e > minElevation) {
+                    aos = this._findTransition(prevT, t, isAbove, toleranceMs);
+                } else if (prevPrevE !== null && prevE > prevPrevE && prevE >= e && prevE > minElevation - 15) {
+                    // Culminación entre dos muestras bajas: puede esconder un pase corto que no cayó en el paso grueso
+                    const peak = this._findMaximum(prevPrevT, t, elevationAt, toleranceMs);
+                    if (peak.value > minElevation) {
+                        addPass(this._findTransition(prevPrevT, peak.time, isAbove, toleranceMs), this._findTransition(peak.time, t, isAbove, toleranceMs), peak);
+                    }
+                }
+            } else if (e <= minElevation) {
+                addPass(aos, this._findTransition(prevT, t, isAbove, toleranceMs));
+                aos = null;
+            }
+
+            if (direction === 'future' && finalPasses.length >= maxPasses) break;
+
+            prevPrevT = prevT; prevPrevE = prevE;
+            prevT = t; prevE = e;
+        }
+        return finalPasses;
+    },
+
+    /**
+     * Arma el objeto de pase entre AOS y LOS (en ms): refina la culminación y los cambios
+     * de visibilidad, y muestrea `points` para la trayectoria. Devuelve null si no hay tramo visible.
+     */
+    _buildPass(sat, coords, observerGd, aos, los, culmination, { direction, sunAltitudeLimit, radio, refraction, flareModel }) {
+        const { sampleStepSeconds, toleranceMs } = this.defaults;
+        const elevationAt = (t) => {
+            const look = this._lookAt(sat.satrec, observerGd, new Date(t), refraction);
+            return look ? look.elevation : -90;
+        };
+        // En el modo radio todo el pase sobre la máscara cuenta como utilizable
+        const isVisible = (time, look) => radio || (this.isObserverInDarkness(time, coords, sunAltitudeLimit, observerGd.height) && this.isSatIlluminated(look.position, time));
+        const isLitAt = (t) => {
+            const time = new Date(t);
+            const look = this._lookAt(sat.satrec, observerGd, time, refraction);
+            return !!look && this.isSatIlluminated(look.position, time);
+        };
+        const isVisibleAt = (t) => {
+            const time = new Date(t);
+            const look = this._lookAt(sat.satrec, observerGd, time, refraction);
+            return !!look && isVisible(time, look);
+        };
+
+        if (!culmination) culmination = this._findMaximum(aos, los, elevationAt, toleranceMs);
+
+        const sampleTimes = [];
+        for (let t = aos; t < los; t += sampleStepSeconds * 1000) sampleTimes.push(t);
+        sampleTimes.push(los);
+
+        const points = [];
+        const pushPoint = (t) => {
+            const time = new Date(t);
+            const look = this._lookAt(sat.satrec, observerGd, time, refraction);
+            if (!look) return null;
+            const point = { time, elevation: look.elevation, isVisible: isVisible(time, look), az: look.azimuth, illumination: this.getIlluminationFraction(look.position, time) };
+            points.push(point);
+            return point;
+        };
+
+        let previous = null;
+        for (const t of sampleTimes) {
+            const point = pushPoint(t);
+            if (!point) continue;
+            // Entrada o salida de la sombra (o del crepúsculo) entre dos muestras: se refina el instante exacto
+            if (previous && previous.isVisible !== point.isVisible) {
+                const boundary = this._findTransition(previous.time.getTime(), t, isVisibleAt, toleranceMs);
+                // Se guarda el último instante visible si sale de la visibilidad, o el primero si entra
+                pushPoint(previous.isVisible ? boundary - toleranceMs : boundary);
+            }
+            previous = point;
+        }
+        if (culmination.time > aos && culmination.time < los) pushPoint(culmination.time);
+        points.sort((a, b) => a.time - b.time);
+
+        const visiblePoints = points.filter(p => p.isVisible);
+        if (visiblePoints.length === 0 || points.length < 2) return null;
+
+        // Entrada en la sombra de la Tierra durante el pase, refinada al segundo
+        let shadowEntry = null;
+        for (let i = 1; i < points.length; i++) {
+            if (points[i - 1].illumination > 0.5 && points[i].illumination <= 0.5) {
+                shadowEntry = new Date(this._findTransition(points[i - 1].time.getTime(), points[i].time.getTime(), isLitAt, toleranceMs));
+                break;
+            }
+        }
+
+        // Los destellos solo interesan a simple vista
+        const flare = radio ? null : this.findFlare(sat.satrec, observerGd, visiblePoints.map(p => p.time.getTime()), flareModel, refraction);
+
+        const firstVisiblePoint = visiblePoints[0];
+        const lastVisiblePoint = visiblePoints[visiblePoints.length - 1];
+        return {
+            start: firstVisiblePoint.time,
+            end: lastVisiblePoint.time,
+            visibleStart: firstVisiblePoint.time,
+            visibleEnd: lastVisiblePoint.time,
+            maxElevation: Math.max(...visiblePoints.map(p => p.elevation)),
+            points,
+            hasVisibleSegment: true,
+            isPast: direction === 'past',
+            startAz: firstVisiblePoint.az,
+            endAz: lastVisiblePoint.az,
+            aos: new Date(aos),
+            tca: new Date(culmination.time),
+            los: new Date(los),
+            shadowEntry,
+            flare,
+            isRadio: radio
+        };
+    }
+};
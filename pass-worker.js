@@ -0,0 +1,69 @@
+// pass-worker.js
+// Calcula los pases visibles (y los tránsitos frente al Sol y la Luna) fuera del hilo principal
+// para que la página no se congele mientras se propaga con SGP4 segundo a segundo.
+
+// satellite.js se carga desde la misma URL que usa la página, que llega con el primer mensaje
+let librariesLoaded = false;
+function loadLibraries(libraryUrl) {
+    if (librariesLoaded) return;
+    importScripts(libraryUrl, 'omm.js', 'ephemeris.js', 'pass-calculator.js', 'transit-finder.js');
+    librariesLoaded = true;
+}
+
+function buildSatrecs(sats) {
+    return sats.map(sat => {
+        try {
+            return { name: sat.name, tle: sat.tle, flareModel: sat.flareModel, satrec: sat.omm ? ommParser.toSatrec(sat.omm) : satellite.twoline2satrec(sat.line1, sat.line2) };
+        } catch (e) {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+function calculatePasses(job) {
+    const { jobId, sats, coords, days, options } = job;
+    const satrecs = buildSatrecs(sats);
+
+    // Hacia el pasado cada día es la ventana que termina en la fecha actual, así que se retrocede
+    const dayStep = options.direction === 'past' ? -1 : 1;
+    const total = days * satrecs.length;
+    let completed = 0;
+
+    for (let i = 0; i < days; i++) {
+        const currentDate = new Date(job.startDate);
+        currentDate.setDate(currentDate.getDate() + i * dayStep);
+
+        for (const sat of satrecs) {
+            const passes = passCalculator.calculateVisiblePasses(sat, coords, { ...options, days: 1, startDate: currentDate, flareModel: sat.flareModel });
+            if (passes.length > 0) {
+                // Se envían los pases a medida que aparecen; Date sobrevive al clonado estructurado.
+                self.postMessage({ type: 'passes', jobId, passes: passes.map(p => ({ ...p, satName: sat.name, tle: sat.tle })) });
+            }
+            completed++;
+            self.postMessage({ type: 'progress', jobId, completed, total });
+        }
+    }
+}
+
+function findTransits(job) {
+    const { jobId, sats, coords, options } = job;
+    const satrecs = buildSatrecs(sats);
+    satrecs.forEach((sat, index) => {
+        const transits = transitFinder.findTransits(sat, coords, { ...options, startDate: new Date(options.startDate) });
+        if (transits.length > 0) self.postMessage({ type: 'transits', jobId, transits });
+        self.postMessage({ type: 'progress', jobId, completed: index + 1, total: satrecs.length });
+    });
+}
+
+self.addEventListener('message', (event) => {
+    const job = event.data;
+    if (!job || (job.type !== 'start' && job.type !== 'transits')) return;
+    loadLibraries(job.libraryUrl);
+
+    if (job.type === 'start') {
+        calculatePasses(job);
+    } else {
+        findTransits(job);
+    }
+    self.postMessage({ type: 'done', jobId: job.jobId });
+});
@@ -0,0 +1,184 @@
+// satellite-point-layer.js
+
+/**
+ * Capa de Leaflet que dibuja muchos satélites como puntos en un único canvas.
+ * Con cientos o miles de objetos, un marcador con tooltip por satélite (y por copia del mundo)
+ * vuelve lento al mapa; acá cada actualización es un solo redibujado.
+ * Los clics se resuelven buscando el punto o la etiqueta más cercana al cursor, y las etiquetas
+ * se reparten en una grilla de pantalla para que no se encimen: al acercar el mapa entran más.
+ * Solo depende de `L`.
+ */
+const SatellitePointLayer = L.Layer.extend({
+    options: {
+        pane: 'overlayPane',
+        radius: 3,
+        hitRadius: 10,            // Distancia máxima (px) para que un clic cuente como sobre el punto
+        color: '#FFEB3B',
+        dimmedColor: 'rgba(255, 235, 59, 0.35)',
+        selectedColor: '#F7B530',
+        labelMinZoom: 3,          // Por debajo de este zoom no se dibujan nombres
+        labelCell: { width: 110, height: 18 },
+        labelFont: '500 11px Inter, sans-serif',
+        onClick: null,            // (data) => {} al tocar un punto
+        onLabelClick: null        // (data) => {} al tocar una etiqueta
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._points = [];
+        this._hitPoints = [];
+        this._labelBoxes = [];
+        this._selected = null;
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'satellite-point-layer leaflet-zoom-hide');
+        this.getPane().appendChild(this._canvas);
+        this._ctx = this._canvas.getContext('2d');
+        map.on('moveend zoomend resize', this._reset, this);
+        map.on('click', this._onClick, this);
+        map.on('mousemove', this._onMouseMove, this);
+        this._reset();
+    },
+
+    onRemove(map) {
+        L.DomUtil.remove(this._canvas);
+        map.off('moveend zoomend resize', this._reset, this);
+        map.off('click', this._onClick, this);
+        map.off('mousemove', this._onMouseMove, this);
+        map.getContainer().style.cursor = '';
+    },
+
+    /**
+     * Reemplaza los puntos y redibuja. El orden importa: ante etiquetas que chocan, gana la primera.
+     * @param {{lat: number, lon: number, name: string, dimmed?: boolean, data: *}[]} points
+     */
+    setPoints(points) {
+        this._points = points;
+        this._redraw();
+        return this;
+    },
+
+    // Resalta el punto cuyo `data` es el indicado (p. ej. el satélite con la órbita dibujada)
+    setSelected(data) {
+        this._selected = data;
+        this._redraw();
+        return this;
+    },
+
+    _reset() {
+        if (!this._map) return;
+        const size = this._map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        this._canvas.width = size.x * ratio;
+        this._canvas.height = size.y * ratio;
+        this._canvas.style.width = `${size.x}px`;
+        this._canvas.style.height = `${size.y}px`;
+        // El panel se desplaza al arrastrar: el canvas se reubica en la esquina visible
+        L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+        this._ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this._redraw();
+    },
+
+    // Desplazamientos de longitud de las copias del mundo que entran en la vista
+    _worldOffsets() {
+        const bounds = this._map.getBounds();
+        const offsets = [];
+        for (let k = Math.floor((bounds.getWest() + 180) / 360); k <= Math.ceil((bounds.getEast() - 180) / 360); k++) {
+            offsets.push(k * 360);
+        }
+        return offsets;
+    },
+
+    _redraw() {
+        if (!this._map || !this._ctx) return;
+        const map = this._map;
+        const size = map.getSize();
+        const ctx = this._ctx;
+        const { radius, labelMinZoom, labelCell } = this.options;
+        ctx.clearRect(0, 0, size.x, size.y);
+
+        this._hitPoints = [];
+        const offsets = this._worldOffsets();
+        this._points.forEach(point => {
+            offsets.forEach(offset => {
+                const p = map.latLngToContainerPoint([point.lat, point.lon + offset]);
+                if (p.x < -radius || p.y < -radius || p.x > size.x + radius || p.y > size.y + radius) return;
+                this._hitPoints.push({ x: p.x, y: p.y, point });
+            });
+        });
+
+        // Un solo trazado por color
+        const groups = [
+            [this.options.dimmedColor, hit => hit.point.dimmed && hit.point.data !== this._selected],
+            [this.options.color, hit => !hit.point.dimmed && hit.point.data !== this._selected],
+            [this.options.selectedColor, hit => hit.point.data === this._selected]
+        ];
+        groups.forEach(([color, belongs]) => {
+            ctx.beginPath();
+            this._hitPoints.filter(belongs).forEach(({ x, y, point }) => {
+                const r = point.data === this._selected ? radius * 1.8 : radius;
+                ctx.moveTo(x + r, y);
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+            });
+            ctx.fillStyle = color;
+            ctx.fill();
+        });
+
+        this._labelBoxes = [];
+        if (map.getZoom() < labelMinZoom) return;
+        ctx.font = this.options.labelFont;
+        ctx.textBaseline = 'middle';
+        const occupied = new Set();
+        const cellsOf = (box) => {
+            const cells = [];
+            for (let cx = Math.floor(box.x / labelCell.width); cx <= Math.floor((box.x + box.width) / labelCell.width); cx++) {
+                for (let cy = Math.floor(box.y / labelCell.height); cy <= Math.floor((box.y + box.height) / labelCell.height); cy++) {
+                    cells.push(`${cx},${cy}`);
+                }
+            }
+            return cells;
+        };
+        // El seleccionado primero, para que su nombre siempre se vea
+        const ordered = [...this._hitPoints.filter(h => h.point.data === this._selected), ...this._hitPoints.filter(h => h.point.data !== this._selected)];
+        ordered.forEach(hit => {
+            const box = { x: hit.x + radius + 4, y: hit.y - 8, width: ctx.measureText(hit.point.name).width + 8, height: 16 };
+            const cells = cellsOf(box);
+            if (cells.some(cell => occupied.has(cell))) return;
+            cells.forEach(cell => occupied.add(cell));
+            ctx.fillStyle = 'rgba(13, 17, 23, 0.8)';
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+            ctx.fillStyle = hit.point.dimmed ? 'rgba(201, 209, 217, 0.5)' : '#C9D1D9';
+            ctx.fillText(hit.point.name, box.x + 4, hit.y);
+            this._labelBoxes.push({ ...box, point: hit.point });
+        });
+    },
+
+    // Etiqueta o punto bajo el cursor: { type: 'label'|'point', point } o null
+    _hitTest(containerPoint) {
+        const { x, y } = containerPoint;
+        const label = this._labelBoxes.find(box => x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height);
+        if (label) return { type: 'label', point: label.point };
+
+        let nearest = null, nearestDistance = this.options.hitRadius;
+        this._hitPoints.forEach(hit => {
+            const distance = Math.hypot(hit.x - x, hit.y - y);
+            if (distance <= nearestDistance) {
+                nearest = hit;
+                nearestDistance = distance;
+            }
+        });
+        return nearest ? { type: 'point', point: nearest.point } : null;
+    },
+
+    _onClick(e) {
+        const hit = this._hitTest(e.containerPoint);
+        if (!hit) return;
+        const handler = hit.type === 'label' ? this.options.onLabelClick : this.options.onClick;
+        if (typeof handler === 'function') handler(hit.point.data);
+    },
+
+    _onMouseMove(e) {
+        this._map.getContainer().style.cursor = this._hitTest(e.containerPoint) ? 'pointer' : '';
+    }
+});
@@ -29,7 +29,15 @@ const SATELLITES_CONFIG = {
         }
     },
 
-    // Lista de los últimos Starlinks (actualizar manualmente cuando sea necesario)
+    // Los últimos Starlink se descubren solos a partir de los GP recientes de CelesTrak.
+    // Se agrupan por lanzamiento y los satélites que todavía viajan juntos (stacks) se muestran una sola vez.
+    starlinkDiscovery: {
+        group: 'last-30-days',
+        maxAgeDays: 14,             // Los lanzamientos más viejos dejan de listarse
+        stackSeparationDegrees: 1   // Separación máxima para considerar que dos satélites viajan en el mismo stack
+    },
+
+    // TLEs cargados a mano. Reemplazan a los descubiertos del mismo lanzamiento y también vencen a los maxAgeDays.
     latestStarlinks: [
         {
             tle: `STARLINK-G10-15 STACK   
@@ -52,7 +60,40 @@ const SATELLITES_CONFIG = {
     ],
 
     // Esta lista se cargará dinámicamente desde CelesTrak
-    brightestSatellites: []
+    brightestSatellites: [],
+
+    // Superficies especulares por clase de objeto para predecir destellos (área en m², dispersión en grados).
+    // Se asignan por nombre (namePrefix) o por número NORAD.
+    flareModels: {
+        'starlink': {
+            namePrefix: 'STARLINK',
+            attitude: 'nadir',        // Chasis plano apuntando a la Tierra
+            area: 11,
+            reflectivity: 0.05,
+            spreadDegrees: 1
+        },
+        'iss': {
+            noradIds: [25544],
+            attitude: 'sunTracking',  // Paneles solares girando sobre el eje perpendicular a la órbita
+            area: 2500,
+            reflectivity: 0.04,
+            spreadDegrees: 3
+        },
+        'tiangong': {
+            noradIds: [48274],
+            attitude: 'sunTracking',
+            area: 270,
+            reflectivity: 0.04,
+            spreadDegrees: 3
+        },
+        'hubble': {
+            noradIds: [20580],
+            attitude: 'sunTracking',
+            area: 40,
+            reflectivity: 0.04,
+            spreadDegrees: 2
+        }
+    }
 };
 
 // Base de datos de eventos astronómicos anuales
@@ -28,6 +28,30 @@ function calculateBearing(p1, p2) {
 	return (satellite.radiansToDegrees(bearingRad) + 360) % 360;
 }
 
+/**
+ * Círculo de radio `radius` (km) sobre la superficie, con las longitudes continuas (pueden pasar de ±180).
+ * Si el círculo encierra un polo, el contorno se cierra por ese polo para que el polígono quede bien relleno.
+ */
+function calculateCircleRing(lat, lon, radius, stepDegrees = 5) {
+	const ring = [];
+	let lastLon = null;
+	for (let bearing = 0; bearing <= 360; bearing += stepDegrees) {
+		let [pointLat, pointLon] = calculateDestinationPoint(lat, lon, bearing, radius);
+		if (lastLon !== null) {
+			while (pointLon - lastLon > 180) pointLon -= 360;
+			while (pointLon - lastLon < -180) pointLon += 360;
+		}
+		ring.push([pointLat, pointLon]);
+		lastLon = pointLon;
+	}
+	const first = ring[0], last = ring[ring.length - 1];
+	if (Math.abs(last[1] - first[1]) > 180) {
+		const poleLat = lat >= 0 ? 90 : -90;
+		ring.push([poleLat, last[1]], [poleLat, first[1]]);
+	}
+	return ring;
+}
+
 function getTleId(tle) {
     if (!tle) return null;
     const lines = tle.trim().split('\n');
@@ -70,43 +94,27 @@ function _createConeSegment(center, heading, angle, innerRadius, outerRadius) {
     }
 }
 
-/**
- * Calcula la posición del Sol en coordenadas ECI (Earth-Centered Inertial).
- * Esencial para determinar el ángulo de fase del satélite.
- * @param {Date} date - La fecha/hora para el cálculo.
- * @returns {{x: number, y: number, z: number}} - Vector de posición ECI en km.
- */
-function getSunEci(date) { 
-    const jday = satellite.jday(date);
-    const mjd = jday - 2400000.5;
-    const jd2000 = mjd - 51544.5; 
-    const MA = (357.5291 + 0.98560028 * jd2000) % 360;
-    const MArad = satellite.degreesToRadians(MA); 
-    const L = (280.459 + 0.98564736 * jd2000) % 360; 
-    const C = 1.915 * Math.sin(MArad) + 0.020 * Math.sin(2 * MArad); 
-    const lambda = satellite.degreesToRadians((L + C) % 360);
-    const epsilon = satellite.degreesToRadians(23.4393 - 3.563E-7 * jd2000); 
-    const R_AU = 1.00014 - 0.01671 * Math.cos(MArad) - 0.00014 * Math.cos(2 * MArad);
-    const R_km = R_AU * 149597870.7; 
-    return { x: R_km * Math.cos(lambda), y: R_km * Math.sin(lambda) * Math.cos(epsilon), z: R_km * Math.sin(lambda) * Math.sin(epsilon) }; 
-}
-
 /**
  * Objeto para manejar la obtención y cacheo del catálogo de satélites (SATCAT).
  * Proporciona la magnitud estándar (M₀) necesaria para el cálculo.
  */
 const satcatManager = {
-    cacheKey: 'satelitesarg_satcat_cache',
     cacheDuration: 7 * 24 * 60 * 60 * 1000, // 7 días en milisegundos
     satcat: null,
     isInitialized: false,
+    _initPromise: null,
+
+    init() {
+        // La búsqueda del catálogo puede pedirlo mientras todavía se está descargando al arrancar
+        if (!this._initPromise) this._initPromise = this._load();
+        return this._initPromise;
+    },
 
-    async init() {
-        if (this.isInitialized) return;
+    async _load() {
         try {
-            const cachedData = JSON.parse(localStorage.getItem(this.cacheKey));
+            const cachedData = await storageManager.getSatcat();
             if (cachedData && (Date.now() - cachedData.timestamp < this.cacheDuration)) {
-                this.satcat = new Map(cachedData.data);
+                this.satcat = new Map(cachedData.records.map(sat => [sat.NORAD_CAT_ID, sat]));
                 console.log("SATCAT cargado desde caché.");
             } else {
                 await this._fetchAndCache();
@@ -121,19 +129,12 @@ const satcatManager = {
     async _fetchAndCache() {
         try {
             console.log("Descargando SATCAT de CelesTrak...");
-            const response = await fetch('https://celestrak.org/pub/satcat.json');
-            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-            const data = await response.json();
+            const data = await sourceRegistry.fetchJson('satcat', '', { validate: Array.isArray });
             
             this.satcat = new Map();
             data.forEach(sat => this.satcat.set(sat.NORAD_CAT_ID, sat));
 
-            const dataToCache = {
-                timestamp: Date.now(),
-                data: Array.from(this.satcat.entries())
-            };
-            localStorage.setItem(this.cacheKey, JSON.stringify(dataToCache));
-            console.log("SATCAT descargado y guardado en caché.");
+            if (await storageManager.saveSatcat(data)) console.log("SATCAT descargado y guardado en caché.");
         } catch (error) {
             console.error("Fallo en la descarga de SATCAT:", error);
             this.satcat = new Map(); // Evita fallos si la descarga falla
@@ -144,18 +145,30 @@ const satcatManager = {
         if (!tle) return null;
         const lines = tle.trim().split('\n');
         const line = lines.find(l => l.trim().startsWith('2 '));
-        return line ? parseInt(line.substring(2, 7), 10) : null;
+        return line ? ommParser.decodeAlpha5(line.substring(2, 7)) : null;
+    },
+
+    getEntry(noradId) {
+        return this.isInitialized && this.satcat.has(noradId) ? this.satcat.get(noradId) : null;
     },
 
     getStandardMagnitude(noradId) {
-        if (!this.isInitialized || !this.satcat.has(noradId)) {
-            return 5.0; // Magnitud por defecto si no se encuentra el satélite.
+        return this.getMagnitudeInfo(noradId).magnitude;
+    },
+
+    /**
+     * Magnitud estándar (M₀) junto con su origen, para poder mostrar de dónde salió.
+     * @returns {{magnitude: number, source: 'mag' | 'rcs' | 'default'}}
+     */
+    getMagnitudeInfo(noradId) {
+        const satData = this.getEntry(noradId);
+        if (!satData) {
+            return { magnitude: 5.0, source: 'default' }; // Magnitud por defecto si no se encuentra el satélite.
         }
-        const satData = this.satcat.get(noradId);
 
         // Prioridad 1: Usar la magnitud estándar proveída por CelesTrak si existe.
         if (typeof satData.MAG === 'number') {
-            return satData.MAG;
+            return { magnitude: satData.MAG, source: 'mag' };
         }
 
         // Prioridad 2 (Fallback): Estimar la magnitud a partir del RCS si no hay MAG.
@@ -171,7 +184,38 @@ const satcatManager = {
         
         // Fórmula simplificada para estimar la magnitud estándar desde el RCS.
         // Se asegura que rcsValue no sea cero o negativo para evitar errores de logaritmo.
-        return -1.5 - 2.5 * Math.log10(Math.max(0.001, rcsValue));
+        return { magnitude: -1.5 - 2.5 * Math.log10(Math.max(0.001, rcsValue)), source: 'rcs' };
+    },
+
+    /**
+     * Busca en el catálogo completo por nombre, número NORAD, designador COSPAR, propietario o fecha de lanzamiento.
+     * @param {string} query - Texto a buscar. Un número se compara con el NORAD; "1998-067" con el COSPAR o la fecha.
+     * @param {object} filters - { type: 'all' | 'PAY' | 'R/B' | 'DEB', status: 'all' | 'onOrbit' | 'decayed' }.
+     * @param {number} limit - Máximo de resultados a devolver.
+     * @returns {{results: object[], total: number}} - Entradas del SATCAT, las más recientes primero.
+     */
+    search(query, filters = {}, limit = 100) {
+        const { type = 'all', status = 'all' } = filters;
+        const term = (query || '').trim().toUpperCase();
+        if (!this.satcat || !term) return { results: [], total: 0 };
+        const noradQuery = /^\d+$/.test(term) ? parseInt(term, 10) : ommParser.decodeAlpha5(term.length === 5 ? term : '');
+
+        const matches = [];
+        for (const sat of this.satcat.values()) {
+            if (type !== 'all' && sat.OBJECT_TYPE !== type) continue;
+            const isDecayed = !!sat.DECAY_DATE;
+            if ((status === 'onOrbit' && isDecayed) || (status === 'decayed' && !isDecayed)) continue;
+            const isMatch = sat.NORAD_CAT_ID === noradQuery
+                || (sat.OBJECT_NAME || '').toUpperCase().includes(term)
+                || (sat.OBJECT_ID || '').toUpperCase().startsWith(term)
+                || (sat.OWNER || '').toUpperCase() === term
+                || (sat.LAUNCH_DATE || '').startsWith(term);
+            if (isMatch) matches.push(sat);
+        }
+
+        // El número NORAD exacto primero; el resto, de lo más nuevo a lo más viejo
+        matches.sort((a, b) => (b.NORAD_CAT_ID === noradQuery) - (a.NORAD_CAT_ID === noradQuery) || b.NORAD_CAT_ID - a.NORAD_CAT_ID);
+        return { results: matches.slice(0, limit), total: matches.length };
     }
 };
 
@@ -181,11 +225,12 @@ document.addEventListener('DOMContentLoaded', () => {
 			audioInitialized: false, mapInitialized: false, trackedSatellites: [], observerCoords: null,
 			nightOverlayLayer: null,
 			observerTimeZone: null, 
+			observerAltitude: 0, // Altitud del observador en metros sobre el nivel del mar
 			geocodeControllers: { map: null, bestPasses: null },
 			geocodeTimeouts: { map: null, bestPasses: null },
 			userLocationMarkers: [], map: null, sounds: {}, realTimeInterval: null,
 			currentTime: new Date(), isTimeTraveling: false, isPassViewActive: false, passTrajectoryDrawn: false, timeStepIndex: 1,
-			baseLayers: {}, currentBaseLayer: null, visibilityBands: { layers: [], visible: false, trajectory: [] },
+			baseLayers: {}, currentBaseLayer: null, visibilityBands: { layers: [], visible: false, trajectory: [], areas: [] },
 			allBestPasses: [],
 			previousBestPassesLoaded: false,
 			pendingPassJumpTimestamp: null,
@@ -203,6 +248,8 @@ document.addEventListener('DOMContentLoaded', () => {
             currentPassFilter: 'all', // Opciones: 'all', 'dusk', 'dawn'
             currentBestPassesSource: 'favorites', // Opciones: 'favorites', 'all'
             unfilteredModalPasses: [],
+            catalogSearch: { type: 'all', status: 'onOrbit', timeout: null },
+            elementSetHistoryMetric: 'meanAltitude',
 			// *** NUEVO: Estado para el modo "Cerca" ***
 			isNearbyModeActive: false,
 			nearby: {
@@ -222,9 +269,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 startDate: null,
                 satsToCalculate: [],
                 renderTarget: null, // 'bestPasses' o 'modal'
-                allFoundPasses: []
+                allFoundPasses: [],
+                worker: null, // Web Worker (pass-worker.js) que corre el lote actual
+                renderTimeout: null
             },
             viewConeLayer: null,
+			transitLayer: null, // Línea central y franja del tránsito elegido
+			decayTrackLayer: null, // Últimas trazas de los objetos a punto de reingresar
+			satellitePointLayer: null, // Canvas con los puntos cuando hay muchos satélites
+			isAllSatellitesMode: false,
+			transitResults: [],
+			transitSearchRadiusKm: 50,
 			isManualLocationMode: false,
 			moonUpdateInterval: null // <--- AÑADÍ ESTA LÍNEA
 		},
@@ -236,14 +291,25 @@ document.addEventListener('DOMContentLoaded', () => {
 			lastSatStorageKey: 'satelitesarg_last_satellite',
 			knownTlesCacheKey: 'satelitesarg_known_tles_cache',
 			brightestTlesCacheKey: 'satelitesarg_brightest_tles_cache',
+			latestStarlinksCacheKey: 'satelitesarg_latest_starlinks_cache',
+			latestStarlinksCacheDuration: 6 * 60 * 60 * 1000, // 6 horas
 			settingsStorageKey: 'satelitesarg_settings',
-			predictionGracePeriodMinutes: 40,
 			predictionFutureDays: 30,
 			predictionPastDays: 3,
 			maxPassesToCalculate: 20, // Esto ahora aplica por lote
             // *** NUEVO: Configuración para el cálculo incremental ***
             passCalculationBatchSize: 5, // Días a calcular por lote
             passCalculationMaxDays: 30,
+			transitSearchDays: 14, // Días hacia adelante en la búsqueda de tránsitos
+			elementSetAgeWarningDays: 7, // Antigüedad de un TLE a partir de la cual se avisa
+			// Modelo empírico del error a lo largo de la órbita: baseKm + kmPerDay·Δt + dragFactor·|B*|·Δt² (Δt en días desde la época)
+			elementSetUncertainty: { baseKm: 1, kmPerDay: 1.5, dragFactor: 2000, degradedSeconds: 10, unreliableSeconds: 60 },
+			elementSetHistoryMaxDays: 730, // Los juegos de elementos más viejos se borran del historial
+			decayWarningDays: 60, // Se muestra el reingreso estimado si cae dentro de estos días
+			decayTrackMaxHours: 24, // Horas de traza que se dibujan al final de la ventana de reingreso
+			pointLayerMinSatellites: 50, // Desde esta cantidad se dibujan en un canvas en lugar de marcadores
+			footprintMaxSatellites: 50, // Con más satélites solo se dibuja la huella del seleccionado
+			sunlitZoneAltitudeKm: 400, // Altitud de la zona de visibilidad cuando no hay un satélite elegido
             
 		},
 		getUtcOffsetForDate(tz, dateUtc) {
@@ -271,11 +337,16 @@ document.addEventListener('DOMContentLoaded', () => {
 		},
 		elements: {},
 		async init() {
+            storageManager.onQuotaExceeded = () => this.ui.showToast(this.language.getTranslation('storageQuotaExceeded'), 'error');
+            // Los cachés de pases se guardan por ubicación y ajustes; los vencidos no se vuelven a usar
+            storageManager.removeExpired(['events_passes_cache_', 'best_passes_cache_'], 24 * 60 * 60 * 1000);
+            storageManager.removeOldElementSetHistory(this.config.elementSetHistoryMaxDays * 24 * 60 * 60 * 1000);
             satcatManager.init();
 			// Asignamos la configuración de satélites desde el archivo externo
 			this.config.knownSatellites = SATELLITES_CONFIG.knownSatellites;
 			
-			this.config.latestStarlinks = SATELLITES_CONFIG.latestStarlinks.map(sat => {
+			// Los Starlink cargados a mano quedan como reemplazo de los descubiertos automáticamente
+			this.config.starlinkOverrides = SATELLITES_CONFIG.latestStarlinks.map(sat => {
                 // Se revierte a la lógica original para leer el nombre directamente desde la primera línea del TLE.
                 // Esto permite que el archivo de configuración sea más fácil de actualizar.
                 if (sat.tle) {
@@ -283,11 +354,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     if (parsed.length > 0 && parsed[0].name) {
                         // Reconstruye el TLE de 3 líneas para consistencia, usando el nombre parseado.
                         const fullTle = `${parsed[0].name}\n${parsed[0].line1}\n${parsed[0].line2}`;
-                        return { name: parsed[0].name, tle: fullTle };
+                        return { name: parsed[0].name, tle: fullTle, ...this.starlinks.getOverrideLaunch(parsed[0]), isOverride: true };
                     }
                 }
                 return sat; // Devuelve el original si falla el parseo
             });
+			this.config.latestStarlinks = this.starlinks.mergeWithOverrides([]);
 
 			this.config.brightestSatellites = SATELLITES_CONFIG.brightestSatellites;
 			
@@ -299,6 +371,7 @@ document.addEventListener('DOMContentLoaded', () => {
 			this.setupEventListeners(); this.mySatellites.renderKnownSatellitesList();
 			this.satellites.updateTlesFromSource(); 
 			this.satellites.updateBrightestTlesFromSource();
+			this.starlinks.updateFromSource();
 			this.ui.updateButtonsState();
 			this.navigation.init();
 			this.mapLayers.init();
@@ -309,7 +382,7 @@ document.addEventListener('DOMContentLoaded', () => {
 			this.time.startRealTimeUpdates(); // Inicia el reloj global
 		},
 		cacheDOMElements() {
-			const ids = [ 'start-screen', 'known-satellites-screen', 'app-container', 'open-known-satellites-btn', 'open-map-btn', 'back-to-start-btn', 'back-btn-from-map', 'tle-modal', 'close-tle-modal-btn', 'save-tle-btn', 'tle-input', 'tle-status', 'location-input', 'location-feedback', 'predict-passes-btn', 'passes-modal', 'passes-modal-title', 'close-passes-modal-btn', 'results-container', 'main-control-panel', 'collapsed-header', 'expanded-content', 'toggle-menu-btn', 'utc-time-display', 'time-control-panel', 'toggle-time-control-btn', 'reset-time-btn', 'time-rewind-btn', 'time-step-btn', 'time-forward-btn', 'timeline-slider', 'date-input', 'time-input', 'date-input-display', 'time-input-display', 'current-time-display', 'my-satellites-screen', 'open-my-satellites-btn', 'my-satellites-list', 'no-my-satellites-msg', 'add-my-satellite-btn', 'back-to-known-btn', 'known-satellites-list', 'confirm-modal', 'confirm-modal-text', 'confirm-delete-btn', 'cancel-delete-btn', 'open-favorites-modal-btn', 'favorites-modal', 'close-favorites-modal-btn', 'favorites-modal-list', 'map-style-switcher', 'map-style-toggle-btn', 'map-style-options', 'action-controls', 'visibility-controls', 'toggle-visibility-bands-btn', 'visibility-legend', 'satellite-info-header', 'satellite-name-display', 'satellite-info-modal', 'satellite-info-modal-title', 'satellite-info-content', 'close-satellite-info-modal-btn', 'open-best-passes-btn', 'best-passes-screen', 'best-passes-list', 'back-to-start-from-best-passes-btn', 'best-passes-location-input', 'best-passes-location-feedback', 'best-passes-filter', 'open-latest-starlinks-btn', 'add-tle-from-main-btn', 'back-to-start-from-known-btn', 'back-to-start-from-passes-btn', 'location-search-btn', 'location-search-icon', 'best-passes-location-search-btn', 'best-passes-location-search-icon', 'back-to-known-from-my-satellites-btn', 'open-compass-menu-btn', 'panel-pages-wrapper', 'best-passes-scroller', 'prediction-date-display', 'radar-canvas', 'radar-pointer', 'expand-radar-btn', 'radar-modal', 'close-radar-modal-btn', 'large-radar-canvas', 'large-radar-pointer', 'calibrate-compass-btn', 'time-control-handle', 'info-screen-about', 'info-screen-guide', 'info-screen-legal', 'back-to-start-from-about-btn', 'back-to-start-from-guide-btn', 'back-to-start-from-legal-btn', 'open-social-btn', 'social-modal', 'close-social-modal-btn', 'close-time-control-btn', 'page-indicator-dots', 'toggle-multi-select-btn', 'multi-select-counter', 'show-selected-sats-btn', 'favorites-modal-footer', 'passes-modal-filter', 'show-all-satellites-btn', 'info-screen-settings', 'back-to-start-from-settings-btn', 'open-settings-btn', 'setting-map-dark', 'setting-map-satellite', 'language-dropdown-toggle', 'current-language-display', 'language-dropdown-menu', 'notification-modal', 'close-notification-modal-btn', 'notification-options', 'done-notification-modal-btn', 'open-brightest-satellites-btn', 'brightest-satellites-screen', 'brightest-satellites-list', 'back-to-known-from-brightest-btn', 'best-passes-filter-container', 'passes-modal-filter-container', 'best-passes-source-filter-container', 'known-satellites-search-input', 'brightest-satellites-search-input', 'search-container-known', 'search-toggle-btn-known', 'favorite-satellites-list-known-screen', 'favorite-satellites-search-input', 'search-container-favorites', 'search-toggle-btn-favorites', 'no-favorites-on-known-screen-msg', 'view-more-container-best-passes', 'view-more-btn-best-passes', 'view-more-container-modal', 'view-more-btn-modal', 'loading-modal', 'loading-modal-text', 'latest-starlinks-screen', 'back-to-known-from-starlinks-btn', 'latest-starlinks-content', 'daily-update-pill', 'daily-update-icon', 'daily-update-text-pill', 'daily-update-title', 'daily-update-modal', 'daily-update-modal-content', 'close-daily-update-modal-btn', 'radar-moon-icon', 'large-radar-moon-icon', 'daily-update-main-pill', 'nearby-button', 'info-screen-moon', 'back-to-start-from-moon-btn', 'moon-phase-container', 'bottom-nav-bar', 'menu-screen', 'back-to-start-from-menu-btn', 'menu-btn-about', 'menu-btn-guide', 'menu-btn-contact', 'menu-btn-settings', 'events-screen', 'back-to-start-from-events-btn', 'nav-btn-home', 'nav-btn-events', 'nav-btn-moon', 'nav-btn-menu', 'toggle-night-overlay-btn', 'setting-day-night-on', 'setting-day-night-off', 'show-previous-passes-btn-new', 'slider-prev-btn', 'slider-next-btn', 'launches-screen', 'back-to-events-from-launches-btn', 'launches-list-container', 'open-launches-screen-btn' ];
+			const ids = [ 'start-screen', 'known-satellites-screen', 'app-container', 'open-known-satellites-btn', 'open-map-btn', 'back-to-start-btn', 'back-btn-from-map', 'tle-modal', 'close-tle-modal-btn', 'save-tle-btn', 'tle-input', 'tle-status', 'location-input', 'location-feedback', 'predict-passes-btn', 'passes-modal', 'passes-modal-title', 'close-passes-modal-btn', 'results-container', 'main-control-panel', 'collapsed-header', 'expanded-content', 'toggle-menu-btn', 'utc-time-display', 'time-control-panel', 'toggle-time-control-btn', 'reset-time-btn', 'time-rewind-btn', 'time-step-btn', 'time-forward-btn', 'timeline-slider', 'date-input', 'time-input', 'date-input-display', 'time-input-display', 'current-time-display', 'my-satellites-screen', 'open-my-satellites-btn', 'my-satellites-list', 'no-my-satellites-msg', 'add-my-satellite-btn', 'back-to-known-btn', 'known-satellites-list', 'confirm-modal', 'confirm-modal-text', 'confirm-delete-btn', 'cancel-delete-btn', 'open-favorites-modal-btn', 'favorites-modal', 'close-favorites-modal-btn', 'favorites-modal-list', 'map-style-switcher', 'map-style-toggle-btn', 'map-style-options', 'action-controls', 'visibility-controls', 'toggle-visibility-bands-btn', 'visibility-legend', 'satellite-info-header', 'satellite-name-display', 'satellite-info-modal', 'satellite-info-modal-title', 'satellite-info-content', 'close-satellite-info-modal-btn', 'open-best-passes-btn', 'best-passes-screen', 'best-passes-list', 'back-to-start-from-best-passes-btn', 'best-passes-location-input', 'best-passes-location-feedback', 'best-passes-filter', 'open-latest-starlinks-btn', 'add-tle-from-main-btn', 'back-to-start-from-known-btn', 'back-to-start-from-passes-btn', 'location-search-btn', 'location-search-icon', 'best-passes-location-search-btn', 'best-passes-location-search-icon', 'back-to-known-from-my-satellites-btn', 'open-compass-menu-btn', 'panel-pages-wrapper', 'best-passes-scroller', 'prediction-date-display', 'radar-canvas', 'radar-pointer', 'expand-radar-btn', 'radar-modal', 'close-radar-modal-btn', 'large-radar-canvas', 'large-radar-pointer', 'calibrate-compass-btn', 'time-control-handle', 'info-screen-about', 'info-screen-guide', 'info-screen-legal', 'back-to-start-from-about-btn', 'back-to-start-from-guide-btn', 'back-to-start-from-legal-btn', 'open-social-btn', 'social-modal', 'close-social-modal-btn', 'close-time-control-btn', 'page-indicator-dots', 'toggle-multi-select-btn', 'multi-select-counter', 'show-selected-sats-btn', 'favorites-modal-footer', 'passes-modal-filter', 'show-all-satellites-btn', 'info-screen-settings', 'back-to-start-from-settings-btn', 'open-settings-btn', 'setting-map-dark', 'setting-map-satellite', 'language-dropdown-toggle', 'current-language-display', 'language-dropdown-menu', 'notification-modal', 'close-notification-modal-btn', 'notification-options', 'done-notification-modal-btn', 'open-brightest-satellites-btn', 'brightest-satellites-screen', 'brightest-satellites-list', 'back-to-known-from-brightest-btn', 'best-passes-filter-container', 'passes-modal-filter-container', 'best-passes-source-filter-container', 'known-satellites-search-input', 'brightest-satellites-search-input', 'search-container-known', 'search-toggle-btn-known', 'favorite-satellites-list-known-screen', 'favorite-satellites-search-input', 'search-container-favorites', 'search-toggle-btn-favorites', 'no-favorites-on-known-screen-msg', 'view-more-container-best-passes', 'view-more-btn-best-passes', 'view-more-container-modal', 'view-more-btn-modal', 'loading-modal', 'loading-modal-text', 'latest-starlinks-screen', 'back-to-known-from-starlinks-btn', 'latest-starlinks-content', 'daily-update-pill', 'daily-update-icon', 'daily-update-text-pill', 'daily-update-title', 'daily-update-modal', 'daily-update-modal-content', 'close-daily-update-modal-btn', 'radar-moon-icon', 'large-radar-moon-icon', 'daily-update-main-pill', 'nearby-button', 'info-screen-moon', 'back-to-start-from-moon-btn', 'moon-phase-container', 'bottom-nav-bar', 'menu-screen', 'back-to-start-from-menu-btn', 'menu-btn-about', 'menu-btn-guide', 'menu-btn-contact', 'menu-btn-settings', 'events-screen', 'back-to-start-from-events-btn', 'nav-btn-home', 'nav-btn-events', 'nav-btn-moon', 'nav-btn-menu', 'toggle-night-overlay-btn', 'setting-day-night-on', 'setting-day-night-off', 'setting-profile-visual', 'setting-profile-radio', 'setting-min-elevation', 'setting-darkness-threshold', 'setting-custom-sun-altitude', 'setting-observer-altitude', 'setting-refraction-on', 'setting-refraction-off', 'setting-refraction-conditions', 'setting-refraction-temperature', 'setting-refraction-pressure', 'show-previous-passes-btn-new', 'slider-prev-btn', 'slider-next-btn', 'launches-screen', 'back-to-events-from-launches-btn', 'launches-list-container', 'open-launches-screen-btn', 'find-transits-btn', 'transits-modal', 'close-transits-modal-btn', 'transits-radius', 'transits-results-container', 'open-satcat-search-btn', 'satcat-search-screen', 'back-to-known-from-satcat-btn', 'satcat-search-input', 'satcat-type-filter', 'satcat-status-filter', 'satcat-results-info', 'satcat-results-list', 'setting-storage-usage', 'setting-sources-list', 'toggle-footprints-btn', 'setting-footprint-elevation', 'setting-orbit-past', 'setting-orbit-future', 'setting-orbit-labels', 'export-track-btn', 'export-modal', 'close-export-modal-btn', 'export-format-options' ];
 			ids.forEach(id => { const camelCaseId = id.replace(/-(\w)/g, (_, c) => c.toUpperCase()); this.elements[camelCaseId] = document.getElementById(id); });
 			if (this.elements.pageIndicatorDots) {
 				this.elements.pageIndicatorDots.dots = this.elements.pageIndicatorDots.querySelectorAll('.dot');
@@ -344,6 +417,7 @@ document.addEventListener('DOMContentLoaded', () => {
 			this.state.map.getPane('trajectoryPane').style.pointerEvents = 'none';
 
 			this.nightOverlay.init();
+			this.footprints.init();
 
 			this.mapLayers.defineLayers(); 
 			this.mapLayers.switchLayer(this.settings.current.defaultMapLayer);
@@ -476,6 +550,22 @@ document.addEventListener('DOMContentLoaded', () => {
 				this.navigation.go('brightest-satellites-screen');
 			});
 
+			elements.openSatcatSearchBtn.addEventListener('click', () => {
+				this.playSound('uiClick', 'F4');
+				this.navigation.go('satcat-search-screen');
+			});
+			elements.backToKnownFromSatcatBtn.addEventListener('click', () => { this.playSound('uiClick', 'A3'); history.back(); });
+			elements.satcatSearchInput.addEventListener('input', () => this.catalog.scheduleSearch());
+			elements.satcatTypeFilter.addEventListener('click', (e) => {
+				const button = e.target.closest('.segmented-control-btn');
+				if (button) this.catalog.setFilter('type', button.dataset.value);
+			});
+			elements.satcatStatusFilter.addEventListener('click', (e) => {
+				const button = e.target.closest('.segmented-control-btn');
+				if (button) this.catalog.setFilter('status', button.dataset.value);
+			});
+			elements.satcatResultsList.addEventListener('click', (e) => this.catalog.handleResultClick(e));
+
 			const openTleModalAction = () => { this.playSound('uiClick', 'C4'); this.elements.tleInput.value = ''; this.ui.showModal(elements.tleModal); };
 			elements.addMySatelliteBtn.addEventListener('click', openTleModalAction);
 			
@@ -549,9 +639,26 @@ document.addEventListener('DOMContentLoaded', () => {
 			
 			elements.toggleMultiSelectBtn.addEventListener('click', () => this.mySatellites.toggleMultiSelectMode());
 			elements.showSelectedSatsBtn.addEventListener('click', () => this.mySatellites.trackMultipleSelected());
+			elements.showAllSatellitesBtn.addEventListener('click', () => this.mySatellites.trackAllSatellites());
 			
 
 			elements.predictPassesBtn.addEventListener('click', () => this.prediction.handlePrediction());
+			elements.findTransitsBtn.addEventListener('click', () => this.transits.open());
+			elements.exportTrackBtn.addEventListener('click', () => this.trackExport.open());
+			elements.closeExportModalBtn.addEventListener('click', () => { this.playSound('uiClick', 'A3'); history.back(); });
+			elements.exportFormatOptions.addEventListener('click', (e) => {
+				const btn = e.target.closest('[data-format]');
+				if (btn) this.trackExport.download(btn.dataset.format);
+			});
+			elements.closeTransitsModalBtn.addEventListener('click', () => { this.playSound('uiClick', 'A3'); history.back(); });
+			elements.transitsRadius.addEventListener('click', (e) => {
+				const btn = e.target.closest('.segmented-control-btn');
+				if (btn) this.transits.setRadius(parseInt(btn.dataset.value, 10));
+			});
+			elements.transitsResultsContainer.addEventListener('click', (e) => {
+				const btn = e.target.closest('.transit-map-btn');
+				if (btn) this.transits.showOnMap(App.state.transitResults[parseInt(btn.dataset.index, 10)]);
+			});
             
             // *** NUEVO: Event Listeners para los botones "Ver más" ***
             const viewMoreBtnBestPasses = document.getElementById('view-more-btn-best-passes');
@@ -897,6 +1004,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
 			elements.settingDayNightOn.addEventListener('click', () => this.settings.setDefaultNightOverlay(true));
 			elements.settingDayNightOff.addEventListener('click', () => this.settings.setDefaultNightOverlay(false));
+			elements.settingFootprintElevation.addEventListener('click', (e) => {
+				const button = e.target.closest('.segmented-control-btn');
+				if (button) this.settings.setFootprintMinElevation(parseInt(button.dataset.value, 10));
+			});
+			[[elements.settingOrbitPast, 'orbitPastRevolutions'], [elements.settingOrbitFuture, 'orbitFutureRevolutions'], [elements.settingOrbitLabels, 'orbitLabelIntervalMinutes']].forEach(([control, key]) => {
+				control.addEventListener('click', (e) => {
+					const button = e.target.closest('.segmented-control-btn');
+					if (button) this.settings.setOrbitOption(key, parseInt(button.dataset.value, 10));
+				});
+			});
+
+			elements.settingProfileVisual.addEventListener('click', () => this.settings.setPredictionProfile('visual'));
+			elements.settingProfileRadio.addEventListener('click', () => this.settings.setPredictionProfile('radio'));
+			elements.settingMinElevation.addEventListener('click', (e) => {
+				const button = e.target.closest('.segmented-control-btn');
+				if (button) this.settings.setMinElevation(parseInt(button.dataset.value, 10));
+			});
+			elements.settingDarknessThreshold.addEventListener('click', (e) => {
+				const button = e.target.closest('.segmented-control-btn');
+				if (button) this.settings.setDarknessThreshold(button.dataset.value);
+			});
+			elements.settingCustomSunAltitude.addEventListener('change', (e) => this.settings.setCustomSunAltitude(parseFloat(e.target.value)));
+			elements.settingRefractionOn.addEventListener('click', () => this.settings.setRefraction(true));
+			elements.settingRefractionOff.addEventListener('click', () => this.settings.setRefraction(false));
+			const onRefractionConditionsChange = () => this.settings.setRefractionConditions(parseFloat(elements.settingRefractionTemperature.value), parseFloat(elements.settingRefractionPressure.value));
+			elements.settingRefractionTemperature.addEventListener('change', onRefractionConditionsChange);
+			elements.settingRefractionPressure.addEventListener('change', onRefractionConditionsChange);
+			elements.settingObserverAltitude.addEventListener('change', (e) => this.location.setAltitude(parseFloat(e.target.value)));
 
 			const { languageDropdownToggle, languageDropdownMenu } = elements;
 			if (languageDropdownToggle && languageDropdownMenu) {
@@ -1094,6 +1229,9 @@ elements.navBtnMenu.addEventListener('click', () => {
 			elements.toggleNightOverlayBtn.addEventListener('change', (e) => {
 				App.settings.setNightOverlay(e.target.checked);
 			});
+			elements.toggleFootprintsBtn.addEventListener('change', (e) => {
+				App.settings.setShowFootprints(e.target.checked);
+			});
 
 			// --- INICIO: Corrección para el estado "activo" persistente de los botones ---
 			let pressedElement = null;
@@ -1197,6 +1335,15 @@ elements.navBtnMenu.addEventListener('click', () => {
 		},
 
 		nightOverlay: {
+			EARTH_RADIUS_KM: 6371,
+			// Altura del Sol (grados) por debajo de la cual empieza cada banda
+			TWILIGHT_BANDS: [
+				{ sunAltitude: -0.833, className: 'twilight-civil' },
+				{ sunAltitude: -6, className: 'twilight-nautical' },
+				{ sunAltitude: -12, className: 'twilight-astronomical' },
+				{ sunAltitude: -18, className: 'twilight-night' }
+			],
+
 			init() {
 				if (!App.state.map) return;
 				// Pane para la sombra de la noche para controlar su z-index
@@ -1207,13 +1354,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 			},
 	
 			getSunPosition(time) {
-				const sunEci = getSunEci(time);
-				const gmst = satellite.gstime(time);
-				const sunGeodetic = satellite.eciToGeodetic(sunEci, gmst);
-				return {
-					lat: satellite.radiansToDegrees(sunGeodetic.latitude),
-					lon: satellite.radiansToDegrees(sunGeodetic.longitude)
-				};
+				return ephemeris.getSubsolarPoint(time);
 			},
 	
 			update() {
@@ -1227,34 +1368,103 @@ elements.navBtnMenu.addEventListener('click', () => {
 
 				const time = App.state.currentTime;
 				const sunPos = this.getSunPosition(time);
-	
-				const terminatorPoints = [];
-				for (let i = 0; i <= 360; i += 2) {
-					const lon = sunPos.lon + i - 180;
-					// Evita la división por cero en los polos
-					const tanLat = Math.tan(satellite.degreesToRadians(sunPos.lat));
-					if (Math.abs(tanLat) < 1e-6) {
-						terminatorPoints.push([0, lon]);
-						continue;
-					}
-					const lat = -Math.atan(Math.cos(satellite.degreesToRadians(lon - sunPos.lon)) / tanLat);
-					terminatorPoints.push([satellite.radiansToDegrees(lat), lon]);
-				}
-	
-				const northPoleIsDark = sunPos.lat < 0;
-				const poleLat = northPoleIsDark ? 90.0 : -90.0;
-	
-				const nightPolygonCoords = [
-					...terminatorPoints,
-					[poleLat, terminatorPoints[terminatorPoints.length - 1][1]],
-					[poleLat, terminatorPoints[0][1]]
-				];
-	
+				// Cada zona es un casquete centrado en el punto antisolar: donde el Sol está a `altura` grados
+				// o menos, el casquete tiene un radio de 90° + altura
+				const antisolarLat = -sunPos.lat;
+				const antisolarLon = sunPos.lon + 180;
+				const capRing = (angle) => calculateCircleRing(antisolarLat, antisolarLon, satellite.degreesToRadians(angle) * this.EARTH_RADIUS_KM, 2);
+
+				// Las bandas se apilan: cuanto más bajo está el Sol, más capas la oscurecen
+				const twilightRings = this.TWILIGHT_BANDS.map(band => ({ className: band.className, ring: capRing(90 + band.sunAltitude) }));
+
+				// Zona de visibilidad: el suelo ya está oscuro (según el umbral de Ajustes) pero un satélite
+				// a esta altitud todavía está al sol, fuera del cilindro de sombra de la Tierra
+				const altitude = this.getSunlitZoneAltitude();
+				const shadowAngle = satellite.radiansToDegrees(Math.asin(this.EARTH_RADIUS_KM / (this.EARTH_RADIUS_KM + altitude)));
+				const darkAngle = 90 + App.settings.getSunAltitudeLimit();
+				const sunlitZone = shadowAngle < darkAngle ? [capRing(darkAngle), capRing(shadowAngle)] : null;
+
+				const subsolarIcon = L.divIcon({
+					className: '',
+					html: '<i class="fa-solid fa-sun subsolar-marker"></i>',
+					iconSize: [18, 18],
+					iconAnchor: [9, 9]
+				});
+				const shift = (ring, offset) => ring.map(p => [p[0], p[1] + offset]);
 				const offsets = [-720, -360, 0, 360, 720];
 				offsets.forEach(offset => {
-					const shiftedPolygon = nightPolygonCoords.map(p => [p[0], p[1] + offset]);
-					L.polygon(shiftedPolygon, { className: 'night-overlay', smoothFactor: 1 }).addTo(App.state.nightOverlayLayer);
+					twilightRings.forEach(({ className, ring }) => {
+						L.polygon(shift(ring, offset), { className: `night-overlay ${className}`, pane: 'nightOverlayPane', smoothFactor: 1, interactive: false }).addTo(App.state.nightOverlayLayer);
+					});
+					if (sunlitZone) {
+						L.polygon(sunlitZone.map(ring => shift(ring, offset)), { className: 'sunlit-zone', pane: 'nightOverlayPane', smoothFactor: 1, interactive: false }).addTo(App.state.nightOverlayLayer);
+					}
+					L.marker([sunPos.lat, sunPos.lon + offset], { icon: subsolarIcon, pane: 'nightOverlayPane', interactive: false, keyboard: false }).addTo(App.state.nightOverlayLayer);
+				});
+			},
+
+			// Altitud para la zona de visibilidad: la del satélite seguido (o el elegido entre varios), si no una típica de órbita baja
+			getSunlitZoneAltitude() {
+				const { trackedSatellites, selectedSatForOrbit } = App.state;
+				const sat = selectedSatForOrbit || (trackedSatellites.length === 1 ? trackedSatellites[0] : null);
+				return sat?.currentPosition ? sat.currentPosition.height : App.config.sunlitZoneAltitudeKm;
+			}
+		},
+
+		// Huellas de cobertura: la zona desde donde cada satélite se ve por encima de la elevación elegida
+		footprints: {
+			polygons: new Map(), // satélite -> un polígono por copia del mundo
+			offsets: [0, 360, -360, 720, -720],
+
+			init() {
+				if (!App.state.map) return;
+				App.state.map.createPane('footprintPane');
+				App.state.map.getPane('footprintPane').style.zIndex = 430; // Debajo de las bandas de visibilidad
+				App.state.map.getPane('footprintPane').style.pointerEvents = 'none';
+				App.state.footprintLayer = L.layerGroup([], { pane: 'footprintPane' }).addTo(App.state.map);
+			},
+
+			// Se llama desde updatePositions, con la posición que dejó guardada en cada satélite
+			update() {
+				if (!App.state.footprintLayer) return;
+				const { trackedSatellites, selectedSatForOrbit } = App.state;
+				if (!App.settings.current.showFootprints) {
+					this.clear();
+					return;
+				}
+				const sats = trackedSatellites.length > App.config.footprintMaxSatellites
+					? trackedSatellites.filter(sat => sat === selectedSatForOrbit)
+					: trackedSatellites;
+				const minElevation = App.settings.current.footprintMinElevation;
+
+				this.polygons.forEach((polygons, sat) => {
+					if (!sats.includes(sat)) {
+						polygons.forEach(polygon => App.state.footprintLayer.removeLayer(polygon));
+						this.polygons.delete(sat);
+					}
+				});
+				sats.forEach(sat => {
+					const position = sat.currentPosition;
+					let polygons = this.polygons.get(sat);
+					if (!position) {
+						if (polygons) polygons.forEach(polygon => polygon.setLatLngs([]));
+						return;
+					}
+					const ring = calculateCircleRing(position.lat, position.lon, App.prediction.getGroundRadiusForElevation(minElevation, position.height));
+					if (!polygons) {
+						polygons = this.offsets.map(() => L.polygon([], { className: 'satellite-footprint', pane: 'footprintPane', interactive: false }).addTo(App.state.footprintLayer));
+						this.polygons.set(sat, polygons);
+					}
+					polygons.forEach((polygon, index) => {
+						const offset = this.offsets[index];
+						polygon.setLatLngs(ring.map(p => [p[0], p[1] + offset]));
+					});
 				});
+			},
+
+			clear() {
+				if (App.state.footprintLayer) App.state.footprintLayer.clearLayers();
+				this.polygons.clear();
 			}
 		},
 
@@ -1395,7 +1605,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 					const tleId = getTleId(sat.tle);
 					if (tleId && !allSatsMap.has(tleId)) {
 						try {
-							const satrec = satellite.twoline2satrec(parsed.line1, parsed.line2);
+							const satrec = App.satellites.createSatrec(parsed, sat.omm);
 							allSatsMap.set(tleId, { name: parsed.name, tle: sat.tle, satrec });
 						} catch (e) { /* Ignorar TLEs inválidos */ }
 					}
@@ -1420,7 +1630,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				const radiusKm = 1200;
 				const now = currentTime;
 				const currentlyNearbyIds = new Set();
-				const observerGd = { latitude: satellite.degreesToRadians(observerCoords[0]), longitude: satellite.degreesToRadians(observerCoords[1]), height: 0.1 };
+				const observerGd = App.location.getObserverGd(observerCoords);
 		
 				nearby.allSats.forEach(sat => {
 					let posGd, posVel, gmst, isVisible = false;
@@ -1433,11 +1643,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
 						const elevation = satellite.radiansToDegrees(lookAngles.elevation);
 
-						if (elevation > 10) {
-							const isObserverDark = App.prediction._isObserverInDarkness(now, observerCoords, sat.satrec);
-							const isSatInSunlight = App.prediction.isSatIlluminated(posVel.position, now);
-							isVisible = isObserverDark && isSatInSunlight;
-						}
+						isVisible = App.prediction.isSatVisible(now, observerCoords, posVel.position, elevation);
 					} catch (e) { return; }
 		
 					const lat = satellite.radiansToDegrees(posGd.latitude);
@@ -1626,7 +1832,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 		navigation: {
 			init() {
 				window.addEventListener('popstate', (event) => {
-					const modals = [App.elements.tleModal, App.elements.passesModal, App.elements.confirmModal, App.elements.favoritesModal, App.elements.satelliteInfoModal, App.elements.radarModal, App.elements.socialModal, App.elements.notificationModal];
+					const modals = [App.elements.tleModal, App.elements.passesModal, App.elements.confirmModal, App.elements.favoritesModal, App.elements.satelliteInfoModal, App.elements.radarModal, App.elements.socialModal, App.elements.notificationModal, App.elements.transitsModal, App.elements.exportModal];
 					const visibleModal = modals.find(m => m && m.classList.contains('is-visible'));
 
 					// Primero, se verifica si hay un modal abierto. Si es así, se cierra.
@@ -1681,7 +1887,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						clearInterval(App.state.moonUpdateInterval);
 						App.state.moonUpdateInterval = null;
 				}
-				const screens = [ App.elements.startScreen, App.elements.knownSatellitesScreen, App.elements.appContainer, App.elements.mySatellitesScreen, App.elements.bestPassesScreen, App.elements.brightestSatellitesScreen, App.elements.infoScreenAbout, App.elements.infoScreenGuide, App.elements.infoScreenLegal, App.elements.infoScreenSettings, App.elements.latestStarlinksScreen, App.elements.infoScreenMoon, App.elements.menuScreen, App.elements.eventsScreen, App.elements.launchesScreen ];
+				const screens = [ App.elements.startScreen, App.elements.knownSatellitesScreen, App.elements.appContainer, App.elements.mySatellitesScreen, App.elements.bestPassesScreen, App.elements.brightestSatellitesScreen, App.elements.infoScreenAbout, App.elements.infoScreenGuide, App.elements.infoScreenLegal, App.elements.infoScreenSettings, App.elements.latestStarlinksScreen, App.elements.infoScreenMoon, App.elements.menuScreen, App.elements.eventsScreen, App.elements.launchesScreen, App.elements.satcatSearchScreen ];
 				const currentVisibleScreen = screens.find(s => s && !s.classList.contains('hidden'));
 				const targetScreen = document.getElementById(screenId); 
 				if (!targetScreen) return;
@@ -1767,6 +1973,7 @@ elements.navBtnMenu.addEventListener('click', () => {
                     }
 					else if (screenId === 'known-satellites-screen') { App.mySatellites.renderFavoriteSatellitesOnKnownScreen(); App.mySatellites.updateFavoriteIcons(); }
 					else if (screenId === 'brightest-satellites-screen') { App.mySatellites.renderBrightestSatellites(); }
+					else if (screenId === 'satcat-search-screen') { App.catalog.showScreen(); }
 					else if (screenId === 'latest-starlinks-screen') { App.starlinks.showScreen(); }
 					else if (screenId === 'info-screen-settings') { App.settings.updateUI(); }
 					else if (screenId === 'info-screen-moon') { 
@@ -1780,7 +1987,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 					const navItems = App.elements.bottomNavBar.querySelectorAll('.nav-item');
 					navItems.forEach(item => item.classList.remove('active'));
 					
-					const menuScreens = ['info-screen-about', 'info-screen-guide', 'info-screen-legal', 'info-screen-settings', 'known-satellites-screen', 'my-satellites-screen', 'latest-starlinks-screen', 'brightest-satellites-screen', 'best-passes-screen', 'menu-screen'];
+					const menuScreens = ['info-screen-about', 'info-screen-guide', 'info-screen-legal', 'info-screen-settings', 'known-satellites-screen', 'my-satellites-screen', 'latest-starlinks-screen', 'brightest-satellites-screen', 'satcat-search-screen', 'best-passes-screen', 'menu-screen'];
 
 					if (screenId === 'start-screen') {
 						App.elements.navBtnHome.classList.add('active');
@@ -1969,7 +2176,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				const cacheDuration = 6 * 60 * 60 * 1000; // 6 horas
 
 				try {
-					const cachedData = JSON.parse(localStorage.getItem(cacheKey));
+					const cachedData = await storageManager.get(cacheKey);
 					if (cachedData && (Date.now() - cachedData.timestamp < cacheDuration)) {
 						this._renderLaunchData(cachedData.data);
 						console.log("Próximo lanzamiento cargado desde caché.");
@@ -1981,12 +2188,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 
 				try {
 					const nowISO = new Date().toISOString();
-					const targetUrl = `https://ll.thespacedevs.com/2.2.0/launch/upcoming/?search=Starlink&limit=1&mode=list&net__gte=${nowISO}`;
-					const apiUrl = `https://api.codetabs.com/v1/proxy/?quest=${targetUrl}`;
-					
-					const response = await fetch(apiUrl);
-					if (!response.ok) throw new Error(`API de lanzamientos respondió con estado ${response.status}`);
-					const data = await response.json();
+					const data = await sourceRegistry.fetchJson('launches', `upcoming/?search=Starlink&limit=1&mode=list&net__gte=${nowISO}`, { validate: d => Array.isArray(d.results) });
 
 					if (data.results && data.results.length > 0) {
 						const launch = data.results[0];
@@ -1996,10 +2198,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 							date: launch.net
 						};
 						
-						localStorage.setItem(cacheKey, JSON.stringify({
-							timestamp: Date.now(),
-							data: launchData
-						}));
+						storageManager.set(cacheKey, launchData);
 
 						this._renderLaunchData(launchData);
 					} else {
@@ -2093,7 +2292,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 			},
 
-			_updateUpcomingPasses() {
+			async _updateUpcomingPasses() {
 				const container = document.getElementById('upcoming-passes-list');
 				if (!App.state.observerCoords) {
 					container.innerHTML = `<p class="text-text-secondary text-center p-4">Ubicación no definida.</p>`;
@@ -2105,10 +2304,10 @@ elements.navBtnMenu.addEventListener('click', () => {
 
 				// Intentar cargar desde caché
 				try {
-					const cachedData = JSON.parse(localStorage.getItem(cacheKey));
+					const cachedData = await storageManager.get(cacheKey);
 					if (cachedData && (Date.now() - cachedData.timestamp < cacheDuration)) {
 						const now = new Date();
-						const upcomingPasses = cachedData.passes
+						const upcomingPasses = cachedData.data
 							.map(p => ({ ...p, start: new Date(p.start), end: new Date(p.end) }))
 							.filter(p => p.end > now)
 							.slice(0, 3);
@@ -2155,10 +2354,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						allPasses.sort((a, b) => a.start - b.start);
 						
 						// Guardar en caché al finalizar
-						localStorage.setItem(cacheKey, JSON.stringify({
-							timestamp: Date.now(),
-							passes: allPasses
-						}));
+						storageManager.set(cacheKey, allPasses);
 
 						const nextThreePasses = allPasses.slice(0, 3);
 						container.innerHTML = '';
@@ -2178,8 +2374,8 @@ elements.navBtnMenu.addEventListener('click', () => {
 					try {
 						const parsed = App.satellites.parseTLE(sat.tle);
 						if (parsed.length > 0) {
-							const satrec = satellite.twoline2satrec(parsed[0].line1, parsed[0].line2);
-							const passesForDay = App.prediction.calculateVisiblePasses({ satrec }, App.state.observerCoords, { days: 1, startDate: startDate });
+							const satrec = App.satellites.createSatrec(parsed[0], sat.omm);
+							const passesForDay = App.prediction.calculateVisiblePasses({ satrec }, App.state.observerCoords, { days: 1, startDate: startDate, ...App.settings.getPredictionOptions('visual') });
 							const validPasses = passesForDay.filter(p => p.end > now).map(p => ({ ...p, satName: sat.name, tle: sat.tle }));
 							allPasses.push(...validPasses);
 						}
@@ -2243,7 +2439,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 			async fetchLaunches(forceUpdate = false) {
 				if (!forceUpdate) {
 					try {
-						const cached = JSON.parse(localStorage.getItem(this.cacheKey));
+						const cached = await storageManager.get(this.cacheKey);
 						if (cached && (Date.now() - cached.timestamp < this.cacheDuration)) {
 							console.log("Lanzamientos cargados desde caché.");
 							return cached.data;
@@ -2253,24 +2449,12 @@ elements.navBtnMenu.addEventListener('click', () => {
 
 				try {
 					const nowISO = new Date().toISOString();
-					const upcomingTarget = `https://ll.thespacedevs.com/2.2.0/launch/upcoming/?search=Starlink&mode=list&limit=10&net__gte=${nowISO}`;
-					const upcomingUrl = `https://api.codetabs.com/v1/proxy/?quest=${upcomingTarget}`;
-					
-					const previousTarget = 'https://ll.thespacedevs.com/2.2.0/launch/previous/?search=Starlink&mode=list&limit=10';
-					const previousUrl = `https://api.codetabs.com/v1/proxy/?quest=${previousTarget}`;
-
-					const [upcomingResponse, previousResponse] = await Promise.all([
-						fetch(upcomingUrl),
-						fetch(previousUrl)
+					const hasResults = (data) => Array.isArray(data.results);
+					const [upcomingData, previousData] = await Promise.all([
+						sourceRegistry.fetchJson('launches', `upcoming/?search=Starlink&mode=list&limit=10&net__gte=${nowISO}`, { validate: hasResults }),
+						sourceRegistry.fetchJson('launches', 'previous/?search=Starlink&mode=list&limit=10', { validate: hasResults })
 					]);
 
-					if (!upcomingResponse.ok || !previousResponse.ok) {
-						throw new Error('Error en la API de lanzamientos');
-					}
-
-					const upcomingData = await upcomingResponse.json();
-					const previousData = await previousResponse.json();
-
 					const launchMap = new Map();
 					[...previousData.results, ...upcomingData.results].forEach(launch => {
 						launchMap.set(launch.id, launch);
@@ -2304,10 +2488,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						return aDate - bDate; // Orden ascendente para hoy y futuros
 					});
 					
-					localStorage.setItem(this.cacheKey, JSON.stringify({
-						timestamp: Date.now(),
-						data: allLaunches
-					}));
+					storageManager.set(this.cacheKey, allLaunches);
 
 					return allLaunches;
 
@@ -2480,10 +2661,12 @@ elements.navBtnMenu.addEventListener('click', () => {
 		},
 		ui: {
 			updateButtonsState() {
-				const { predictPassesBtn } = App.elements;
+				const { predictPassesBtn, findTransitsBtn, exportTrackBtn } = App.elements;
 				const hasTle = App.state.trackedSatellites.length > 0;
 				const hasLocation = App.state.observerCoords !== null;
 				predictPassesBtn.disabled = !hasTle || !hasLocation;
+				findTransitsBtn.disabled = !hasTle || !hasLocation;
+				exportTrackBtn.classList.toggle('hidden', !hasTle);
 			},
 			showModal(modalElement) {
 				const heavyModals = ['favorites-modal'];
@@ -2678,10 +2861,10 @@ elements.navBtnMenu.addEventListener('click', () => {
                         if (parsed.length === 0) continue;
             
                         try {
-                            const satrec = satellite.twoline2satrec(parsed[0].line1, parsed[0].line2);
+                            const satrec = App.satellites.createSatrec(parsed[0], sat.omm);
                             const satDataForCalc = { name: sat.name, satrec: satrec };
                             
-                            const passes = App.prediction.calculateVisiblePasses(satDataForCalc, App.state.observerCoords, { days: 1 });
+                            const passes = App.prediction.calculateVisiblePasses(satDataForCalc, App.state.observerCoords, { days: 1, ...App.settings.getPredictionOptions('visual') });
             
                             for (const pass of passes) {
                                 if (pass.end < now || pass.start > todayEnd) continue;
@@ -3036,6 +3219,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						<div class="satellite-entry-clickable known-satellite-btn">
 							<div class="satellite-entry-info">
 								<h3 class="satellite-entry-name">${sat.name}</h3>
+								${this._getDecayedHtml(sat)}
 							</div>
 						</div>
 						<div class="satellite-entry-actions">
@@ -3061,7 +3245,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				const mySats = this.loadFromStorage();
 				const favoriteSatNames = mySats.map(s => s.name);
 				
-				document.querySelectorAll('#known-satellites-list .satellite-entry, #brightest-satellites-list .satellite-entry').forEach(satElement => {
+				document.querySelectorAll('#known-satellites-list .satellite-entry, #brightest-satellites-list .satellite-entry, #satcat-results-list .satellite-entry').forEach(satElement => {
 					const btn = satElement.querySelector('.favorite-btn');
 					if (!btn) return;
 
@@ -3081,7 +3265,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 					heartIcon.classList.toggle('fa-solid', isFav);
 				});
 			},
-			handleFavoriteClick(name, tle) {
+			handleFavoriteClick(name, tle, omm = null) {
 				if (!name || !tle) { App.playSound('error', 'C3'); return; }
 				let mySats = this.loadFromStorage();
 				const existingIndex = mySats.findIndex(s => s.name === name);
@@ -3090,7 +3274,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 					mySats.splice(existingIndex, 1);
 					App.playSound('trash');
 				} else {
-					mySats.push({ name: name, tle: tle });
+					mySats.push(omm ? { name: name, tle: tle, omm: omm } : { name: name, tle: tle });
 					App.playSound('success', 'A4');
 				}
 			
@@ -3098,6 +3282,11 @@ elements.navBtnMenu.addEventListener('click', () => {
 				this.updateFavoriteIcons();
 				App.ui.updateButtonsState();
 			},
+			// Aviso para las entradas guardadas cuyo objeto ya reingresó a la atmósfera
+			_getDecayedHtml(sat) {
+				if (!sat.decayDate) return '';
+				return `<p class="satellite-entry-desc text-red-400">${App.language.getTranslation('satcatDecayedOn').replace('{date}', sat.decayDate)}</p>`;
+			},
 			renderFavoritesForSelection() {
 				const container = App.elements.favoritesModalList;
 				container.innerHTML = '';
@@ -3292,6 +3481,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 			trackMultipleSelected() {
 				if (App.state.selectedTlesForMulti.length === 0) return;
 				App.playSound('success', 'A4');
+				App.state.isAllSatellitesMode = false;
 
                 const combinedTles = App.state.selectedTlesForMulti.join('\n');
 				localStorage.setItem(App.config.lastSatStorageKey, combinedTles);
@@ -3305,6 +3495,30 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 				history.back();
 			},
+			// Muestra en el mapa todos los satélites de la lista del modal (populares, Starlink, brillantes y favoritos)
+			trackAllSatellites() {
+				const allTles = new Map();
+				const sources = [
+					...Object.values(App.config.knownSatellites),
+					...App.config.latestStarlinks,
+					...App.config.brightestSatellites,
+					...this.loadFromStorage()
+				];
+				sources.forEach(sat => { if (sat.tle) allTles.set(getTleId(sat.tle), sat.tle); });
+				if (allTles.size === 0) { App.playSound('error', 'C3'); return; }
+				App.playSound('success', 'A4');
+
+				App.state.isAllSatellitesMode = true;
+				App.elements.tleInput.value = [...allTles.values()].join('\n');
+				App.satellites.handleTleLoad(true, true);
+
+				if (!App.elements.appContainer.classList.contains('hidden')) {
+					App.satellites.handleTracking();
+				} else {
+					App.navigation.go('app-container');
+				}
+				history.back();
+			},
 			
 			renderList() {
 				const { mySatellitesList, noMySatellitesMsg } = App.elements;
@@ -3320,11 +3534,17 @@ elements.navBtnMenu.addEventListener('click', () => {
 					const satElement = document.createElement('div');
 					satElement.className = 'satellite-entry';
 					const isFavorite = allFavTleIds.includes(getTleId(sat.tle));
+					const satrec = App.satellites.getSatrecForTle(sat.tle);
+					const ageDays = satrec ? App.satellites.getElementSetQuality(satrec).ageDays : null;
+					const ageHtml = ageDays !== null
+						? `<p class="satellite-entry-desc ${ageDays > App.config.elementSetAgeWarningDays ? 'text-warning' : ''}">${App.language.getTranslation('elementSetListAge').replace('{days}', ageDays.toFixed(1))}</p>`
+						: '';
 
 					satElement.innerHTML = `
 						<div class="satellite-entry-clickable" data-tle="${sat.tle}">
 							<div class="satellite-entry-info">
 								<h3 class="satellite-entry-name">${sat.name}</h3>
+								${this._getDecayedHtml(sat) || ageHtml}
 							</div>
 						</div>
 						<div class="satellite-entry-actions">
@@ -3357,6 +3577,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				const { tleInput } = App.elements, tleData = tleInput.value.trim(), parsedSats = App.satellites.parseTLE(tleData);
 				if(parsedSats.length === 0 || !parsedSats[0].name){ App.playSound('error', 'C3'); return; }
 				const newSat = { name: parsedSats[0].name, tle: `${parsedSats[0].name}\n${parsedSats[0].line1}\n${parsedSats[0].line2}` };
+				if (parsedSats[0].omm) newSat.omm = parsedSats[0].omm;
 				const customSats = this.loadFromStorage(App.config.customTleStorageKey); customSats.push(newSat); this.saveToStorage(customSats, App.config.customTleStorageKey);
 				App.playSound('success', 'G5'); history.back(); this.renderList(); App.ui.updateButtonsState();
 			},
@@ -3376,6 +3597,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 
 				if (!isAutoLoad) App.playSound('success', 'G4');
+				App.state.isAllSatellitesMode = false;
 				
 				try { 
 					localStorage.setItem(App.config.lastSatStorageKey, tleString); 
@@ -3387,6 +3609,75 @@ elements.navBtnMenu.addEventListener('click', () => {
 				App.satellites.handleTleLoad(true); 
 				App.navigation.go('app-container');
 			},
+			// Número NORAD de una entrada guardada: del registro OMM si lo tiene, si no de la línea 2 del TLE
+			getNoradId(sat) {
+				return sat.omm ? sat.omm.NORAD_CAT_ID : satcatManager._parseNoradFromTle(sat.tle);
+			},
+			/**
+			 * Trae los últimos elementos de CelesTrak para los satélites propios y los favoritos.
+			 * Se conserva el nombre que eligió el usuario y se marcan (`decayDate`) los que ya reingresaron.
+			 */
+			async refreshSavedTles() {
+				const keys = [App.config.customTleStorageKey, App.config.localStorageKey];
+				const savedSats = keys.flatMap(key => this.loadFromStorage(key));
+				if (savedSats.length === 0) return;
+				await satcatManager.init();
+
+				// Los satélites populares ya se actualizaron: se reutilizan sus TLE en lugar de volver a pedirlos
+				const latest = new Map();
+				Object.values(App.config.knownSatellites).forEach(known => {
+					const parsed = known.tle ? App.satellites.parseTLE(known.tle) : [];
+					if (parsed.length > 0) latest.set(known.noradId, parsed[0]);
+				});
+
+				// Los decaídos ya no tienen elementos que pedir
+				const pendingIds = [...new Set(savedSats.map(sat => sat.noradId || this.getNoradId(sat)))].filter(noradId => {
+					if (!noradId || latest.has(noradId)) return false;
+					const entry = satcatManager.getEntry(noradId);
+					return !(entry && entry.DECAY_DATE);
+				});
+				// Se piden de a tandas en paralelo, sin saturar la fuente con cientos de pedidos a la vez
+				const BATCH_SIZE = 6;
+				for (let i = 0; i < pendingIds.length; i += BATCH_SIZE) {
+					await Promise.all(pendingIds.slice(i, i + BATCH_SIZE).map(async noradId => {
+						try {
+							const elementSet = await App.satellites.fetchElementSet(noradId);
+							if (elementSet) latest.set(noradId, elementSet);
+						} catch (error) {
+							console.error(`Fallo en la actualización del TLE guardado ${noradId}:`, error);
+						}
+					}));
+				}
+
+				// Las listas se vuelven a leer recién ahora: mientras se descargaba, el usuario pudo agregar o quitar satélites
+				let updatedCount = 0;
+				keys.forEach(key => {
+					const list = this.loadFromStorage(key);
+					if (list.length === 0) return;
+					list.forEach(sat => {
+						sat.noradId = sat.noradId || this.getNoradId(sat);
+						if (!sat.noradId) return;
+						const entry = satcatManager.getEntry(sat.noradId);
+						if (entry && entry.DECAY_DATE) sat.decayDate = entry.DECAY_DATE;
+
+						const elementSet = latest.get(sat.noradId);
+						if (!elementSet) return;
+						const currentSatrec = App.satellites.getSatrecForTle(sat.tle);
+						const freshSatrec = App.satellites.createSatrec(elementSet);
+						if (currentSatrec && freshSatrec.jdsatepoch <= currentSatrec.jdsatepoch) return;
+
+						sat.tle = `${sat.name}\n${elementSet.line1}\n${elementSet.line2}`;
+						if (elementSet.omm) sat.omm = elementSet.omm;
+						else delete sat.omm;
+						updatedCount++;
+					});
+					this.saveToStorage(list, key);
+				});
+				console.log(`TLEs guardados actualizados: ${updatedCount}.`);
+
+				this.renderList();
+				this.renderFavoriteSatellitesOnKnownScreen();
+			},
 			loadFromStorage(key = App.config.localStorageKey) {
 				try {
 					const data = localStorage.getItem(key);
@@ -3423,7 +3714,247 @@ elements.navBtnMenu.addEventListener('click', () => {
 			},
 			saveToStorage(satellites, key = App.config.localStorageKey) { try { localStorage.setItem(key, JSON.stringify(satellites)); } catch (e) { console.error(e); } }
 		},
+		catalog: {
+			maxResults: 100,
+			searchDelay: 300,
+			OBJECT_TYPE_KEYS: { 'PAY': 'satcatTypePayload', 'R/B': 'satcatTypeRocketBody', 'DEB': 'satcatTypeDebris' },
+
+			async showScreen() {
+				const { satcatResultsList, satcatResultsInfo } = App.elements;
+				this.updateFiltersUI();
+				if (!satcatManager.isInitialized) {
+					satcatResultsInfo.textContent = '';
+					satcatResultsList.innerHTML = `<div class="text-center p-8"><i class="fa-solid fa-spinner fa-spin text-3xl"></i><p class="mt-4" data-lang-key="satcatLoading">${App.language.getTranslation('satcatLoading')}</p></div>`;
+					await satcatManager.init();
+				}
+				this.search();
+			},
+			scheduleSearch() {
+				clearTimeout(App.state.catalogSearch.timeout);
+				App.state.catalogSearch.timeout = setTimeout(() => this.search(), this.searchDelay);
+			},
+			setFilter(filter, value) {
+				App.state.catalogSearch[filter] = value;
+				this.updateFiltersUI();
+				this.search();
+			},
+			updateFiltersUI() {
+				const { type, status } = App.state.catalogSearch;
+				App.elements.satcatTypeFilter.querySelectorAll('.segmented-control-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.value === type));
+				App.elements.satcatStatusFilter.querySelectorAll('.segmented-control-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.value === status));
+			},
+			search() {
+				const { satcatResultsList, satcatResultsInfo, satcatSearchInput } = App.elements;
+				const query = satcatSearchInput.value.trim();
+				if (!query) {
+					satcatResultsInfo.textContent = '';
+					satcatResultsList.innerHTML = `<p class="text-text-secondary text-center p-8" data-lang-key="satcatHint">${App.language.getTranslation('satcatHint')}</p>`;
+					return;
+				}
+				const { type, status } = App.state.catalogSearch;
+				const { results, total } = satcatManager.search(query, { type, status }, this.maxResults);
+				satcatResultsInfo.textContent = total > results.length
+					? App.language.getTranslation('satcatShowingResults').replace('{shown}', results.length).replace('{total}', total)
+					: App.language.getTranslation('satcatResultsCount').replace('{total}', total);
+				if (results.length === 0) {
+					satcatResultsList.innerHTML = `<p class="text-text-secondary text-center p-8 border-2 border-dashed border-gray-700 rounded-lg" data-lang-key="satcatNoResults">${App.language.getTranslation('satcatNoResults')}</p>`;
+					return;
+				}
+				App.mySatellites.renderWithAnimation(satcatResultsList, results, (sat) => this.renderEntry(sat));
+				App.mySatellites.updateFavoriteIcons();
+			},
+			renderEntry(sat) {
+				const satElement = document.createElement('div');
+				satElement.className = 'satellite-entry';
+				satElement.dataset.name = sat.OBJECT_NAME;
+				satElement.dataset.noradId = sat.NORAD_CAT_ID;
+				if (sat.DECAY_DATE) satElement.dataset.decayed = 'true';
+
+				const typeKey = this.OBJECT_TYPE_KEYS[sat.OBJECT_TYPE];
+				const details = [`NORAD ${sat.NORAD_CAT_ID}`, sat.OBJECT_ID, typeKey ? App.language.getTranslation(typeKey) : null, sat.OWNER, sat.LAUNCH_DATE].filter(Boolean).join(' · ');
+				const decayedHtml = sat.DECAY_DATE
+					? `<p class="satellite-entry-desc text-red-400">${App.language.getTranslation('satcatDecayedOn').replace('{date}', sat.DECAY_DATE)}</p>`
+					: '';
+				satElement.innerHTML = `
+					<div class="satellite-entry-clickable known-satellite-btn">
+						<div class="satellite-entry-info">
+							<h3 class="satellite-entry-name">${sat.OBJECT_NAME}</h3>
+							<p class="satellite-entry-desc">${details}</p>
+							${decayedHtml}
+						</div>
+					</div>
+					${sat.DECAY_DATE ? '' : `
+					<div class="satellite-entry-actions">
+						<button class="favorite-btn" data-lang-key="favoriteButton" title="Guardar en Mis Satélites">
+							<i class="fa-regular fa-heart"></i>
+						</button>
+					</div>`}`;
+				return satElement;
+			},
+			// Los elementos orbitales se piden recién cuando el usuario elige un objeto
+			async getElementSet(noradId) {
+				App.ui.showLoadingModal('calculating');
+				try {
+					const elementSet = await App.satellites.fetchElementSet(noradId);
+					if (!elementSet) throw new Error(`Sin elementos GP para ${noradId}`);
+					return elementSet;
+				} catch (error) {
+					console.error("Error al obtener los elementos orbitales:", error);
+					App.playSound('error', 'C3');
+					App.ui.showToast(App.language.getTranslation('satcatNoElements'), 'error');
+					return null;
+				} finally {
+					App.ui.hideLoadingModal();
+				}
+			},
+			async handleResultClick(e) {
+				const satElement = e.target.closest('.satellite-entry');
+				if (!satElement) return;
+				const favBtn = e.target.closest('.favorite-btn');
+				const name = satElement.dataset.name;
+
+				// Si ya es favorito, se quita sin volver a descargar nada
+				if (favBtn && favBtn.classList.contains('is-favorite')) {
+					e.stopPropagation();
+					const favorite = App.mySatellites.loadFromStorage().find(s => s.name === name);
+					if (favorite) App.mySatellites.handleFavoriteClick(favorite.name, favorite.tle);
+					return;
+				}
+				if (satElement.dataset.decayed) {
+					App.playSound('error', 'C3');
+					App.ui.showToast(App.language.getTranslation('satcatNoElements'), 'error');
+					return;
+				}
+
+				const elementSet = await this.getElementSet(parseInt(satElement.dataset.noradId, 10));
+				if (!elementSet) return;
+				const tle = `${name}\n${elementSet.line1}\n${elementSet.line2}`;
+				if (favBtn) {
+					App.mySatellites.handleFavoriteClick(name, tle, elementSet.omm);
+				} else {
+					App.mySatellites.handleTrack(tle);
+				}
+			}
+		},
 		starlinks: {
+			/**
+			 * Arma la lista de últimos Starlink desde los GP recientes de CelesTrak (con caché) y la combina
+			 * con los cargados a mano en SATELLITES_CONFIG.
+			 * @param {boolean} forceUpdate - Ignora el caché.
+			 */
+			async updateFromSource(forceUpdate = false) {
+				const { latestStarlinksCacheKey, latestStarlinksCacheDuration } = App.config;
+				let discovered = null;
+				if (!forceUpdate) {
+					const cachedData = await storageManager.get(latestStarlinksCacheKey);
+					if (cachedData && (Date.now() - cachedData.timestamp < latestStarlinksCacheDuration)) {
+						discovered = cachedData.data;
+						console.log("Últimos Starlink cargados desde caché.");
+					}
+				}
+
+				if (!discovered) {
+					try {
+						const gpText = await App.satellites.fetchGp(`GROUP=${SATELLITES_CONFIG.starlinkDiscovery.group}&FORMAT=json`);
+						discovered = this.discover(App.satellites.parseTLE(gpText));
+						await storageManager.set(latestStarlinksCacheKey, discovered);
+						console.log(`Últimos Starlink descubiertos: ${discovered.length}.`);
+					} catch (error) {
+						console.error("Fallo en el descubrimiento de los últimos Starlink:", error);
+						return;
+					}
+				}
+
+				App.config.latestStarlinks = this.mergeWithOverrides(discovered);
+				if (App.elements.latestStarlinksScreen && !App.elements.latestStarlinksScreen.classList.contains('hidden')) {
+					this.showScreen();
+				}
+			},
+
+			/**
+			 * Agrupa por lanzamiento (prefijo COSPAR) los objetos de los lanzamientos que llevaron Starlink
+			 * y deja uno por stack: los que en este momento están a menos de `stackSeparationDegrees` entre sí.
+			 * @param {object[]} parsedSats - Salida de parseTLE con registros OMM.
+			 * @returns {object[]} - { name, tle, omm, launch, launchDate, stackSize }.
+			 */
+			discover(parsedSats) {
+				const launches = new Map();
+				parsedSats.forEach(sat => {
+					if (!sat.omm || !sat.omm.OBJECT_ID) return;
+					const launch = sat.omm.OBJECT_ID.substring(0, 8);
+					if (!launches.has(launch)) launches.set(launch, []);
+					launches.get(launch).push(sat);
+				});
+
+				const now = new Date();
+				const maxSeparation = satellite.degreesToRadians(SATELLITES_CONFIG.starlinkDiscovery.stackSeparationDegrees);
+				const separation = (a, b) => Math.acos(Math.max(-1, Math.min(1, (a.x * b.x + a.y * b.y + a.z * b.z) / (Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z)))));
+				const discovered = [];
+
+				launches.forEach((sats, launch) => {
+					// Los nombres definitivos tardan unos días; alcanza con que uno ya figure como Starlink.
+					// Las etapas del cohete y la basura del lanzamiento no interesan.
+					if (!sats.some(sat => /STARLINK/i.test(sat.name))) return;
+					const payloads = sats.filter(sat => !/R\/B|DEB/i.test(sat.name)).sort((a, b) => a.omm.NORAD_CAT_ID - b.omm.NORAD_CAT_ID);
+					const launchDate = this._estimateLaunchDate(payloads);
+
+					const stacks = [];
+					payloads.forEach(sat => {
+						let position;
+						try {
+							position = satellite.propagate(App.satellites.createSatrec(sat), now).position;
+						} catch (e) {
+							return;
+						}
+						if (!position) return;
+						const stack = stacks.find(s => separation(s.position, position) < maxSeparation);
+						if (stack) stack.size++;
+						else stacks.push({ sat, position, size: 1 });
+					});
+
+					stacks.forEach(({ sat, size }) => discovered.push({
+						name: sat.name,
+						tle: `${sat.name}\n${sat.line1}\n${sat.line2}`,
+						omm: sat.omm,
+						launch,
+						launchDate,
+						stackSize: size
+					}));
+				});
+				return discovered;
+			},
+
+			// Fecha de lanzamiento según el SATCAT; si todavía no figura, se estima con las vueltas dadas hasta la época
+			_estimateLaunchDate(sats) {
+				for (const sat of sats) {
+					const entry = satcatManager.getEntry(sat.omm.NORAD_CAT_ID);
+					if (entry && entry.LAUNCH_DATE) return Date.parse(`${entry.LAUNCH_DATE}T00:00:00Z`);
+				}
+				const estimates = sats.map(sat => ommParser.parseEpoch(sat.omm.EPOCH) - (sat.omm.REV_AT_EPOCH || 0) / sat.omm.MEAN_MOTION * 86400000);
+				return Math.min(...estimates);
+			},
+
+			// Lanzamiento (prefijo COSPAR) y época de un TLE cargado a mano; la época hace de fecha para el vencimiento
+			getOverrideLaunch(parsed) {
+				const designator = parsed.line1.substring(9, 17).trim();
+				const year = parseInt(designator.substring(0, 2), 10);
+				const satrec = App.satellites.createSatrec(parsed);
+				return {
+					launch: /^\d{5}/.test(designator) ? `${year < 57 ? 2000 + year : 1900 + year}-${designator.substring(2, 5)}` : null,
+					launchDate: (satrec.jdsatepoch - 2440587.5) * 86400000
+				};
+			},
+
+			// Los cargados a mano reemplazan a los descubiertos del mismo lanzamiento; todos vencen a los maxAgeDays
+			mergeWithOverrides(discovered) {
+				const maxAge = SATELLITES_CONFIG.starlinkDiscovery.maxAgeDays * 24 * 60 * 60 * 1000;
+				const isRecent = (sat) => !sat.launchDate || Date.now() - sat.launchDate < maxAge;
+				const overrides = App.config.starlinkOverrides.filter(isRecent);
+				const overriddenLaunches = new Set(overrides.map(sat => sat.launch).filter(Boolean));
+				const fresh = discovered.filter(sat => isRecent(sat) && !overriddenLaunches.has(sat.launch));
+				return [...overrides, ...fresh].sort((a, b) => (b.launchDate || 0) - (a.launchDate || 0));
+			},
+
 			async showScreen() {
 				if (App.state.moonUpdateInterval) {
 						clearInterval(App.state.moonUpdateInterval);
@@ -3448,13 +3979,27 @@ elements.navBtnMenu.addEventListener('click', () => {
 		
 				const satListContainer = document.createElement('div');
 				satListContainer.className = 'space-y-2 mb-8';
+				let lastLaunch = null;
 				starlinkSats.forEach(sat => {
+					// Un encabezado por lanzamiento, con su fecha
+					if (sat.launch && sat.launch !== lastLaunch) {
+						lastLaunch = sat.launch;
+						const launchHeader = document.createElement('h4');
+						launchHeader.className = 'pass-date-header';
+						const launchDay = sat.launchDate ? ` · ${App.time.formatCityTime(new Date(sat.launchDate), { month: 'long', day: 'numeric' })}` : '';
+						launchHeader.textContent = `${App.language.getTranslation('starlinkLaunch')} ${sat.launch}${launchDay}`;
+						satListContainer.appendChild(launchHeader);
+					}
+					const stackHtml = sat.stackSize > 1
+						? `<p class="satellite-entry-desc">${App.language.getTranslation('starlinkStackSize').replace('{count}', sat.stackSize)}</p>`
+						: '';
 					const satElement = document.createElement('div');
 					satElement.className = 'satellite-entry';
 					satElement.innerHTML = `
 						<div class="satellite-entry-clickable" data-tle='${sat.tle}'>
 							<div class="satellite-entry-info">
 								<h3 class="satellite-entry-name">${sat.name}</h3>
+								${stackHtml}
 							</div>
 						</div>
 						<div class="satellite-entry-actions">
@@ -3468,7 +4013,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 					});
 					satElement.querySelector('.favorite-btn').addEventListener('click', (e) => {
 						const btn = e.currentTarget;
-						App.mySatellites.handleFavoriteClick(sat.name, sat.tle);
+						App.mySatellites.handleFavoriteClick(sat.name, sat.tle, sat.omm);
 						btn.classList.toggle('is-favorite');
 						const heartIcon = btn.querySelector('i');
 						const isFav = btn.classList.contains('is-favorite');
@@ -3502,7 +4047,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 					const parsed = App.satellites.parseTLE(sat.tle);
 					if (!parsed[0]) return null;
 					try {
-						return { name: sat.name, satrec: satellite.twoline2satrec(parsed[0].line1, parsed[0].line2), tle: sat.tle };
+						return { name: sat.name, satrec: App.satellites.createSatrec(parsed[0], sat.omm), tle: sat.tle };
 					} catch (e) {
 						return null;
 					}
@@ -3573,9 +4118,7 @@ elements.navBtnMenu.addEventListener('click', () => {
                     const freshTles = {};
                     for (const [id, sat] of Object.entries(App.config.knownSatellites)) {
                         try {
-                            const response = await fetch(`https://corsproxy.io/?https://celestrak.org/NORAD/elements/gp.php?CATNR=${sat.noradId}&FORMAT=TLE`);
-                            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-                            const tleText = await response.text();
+                            const tleText = await this.fetchGp(`CATNR=${sat.noradId}&FORMAT=TLE`);
                             if (tleText && tleText.includes('1 ') && tleText.includes('2 ')) {
                                 const trimmedTle = tleText.trim();
                                 App.config.knownSatellites[id].tle = trimmedTle;
@@ -3588,42 +4131,28 @@ elements.navBtnMenu.addEventListener('click', () => {
                         }
                     }
                     if (Object.keys(freshTles).length > 0) {
-                        try {
-                            const dataToCache = {
-                                timestamp: new Date().getTime(),
-                                tles: freshTles
-                            };
-                            localStorage.setItem(App.config.knownTlesCacheKey, JSON.stringify(dataToCache));
-                        } catch (e) {
-                            console.error("Error al guardar el caché de TLE:", e);
-                        }
+                        await storageManager.set(App.config.knownTlesCacheKey, freshTles);
                     }
                 };
 
                 const fetchBrightestTles = async () => {
                     try {
-                        const celestrakUrl = 'https://celestrak.org/NORAD/elements/gp.php?GROUP=visual&FORMAT=tle';
-                        const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(celestrakUrl)}`;
-                        const response = await fetch(proxyUrl);
-                        if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-                        const tleText = await response.text();
+                        const tleText = await this.fetchGp('GROUP=visual&FORMAT=json');
                         const parsedSats = this.parseTLE(tleText);
 
                         App.config.brightestSatellites = parsedSats.map(sat => ({
                             name: sat.name,
-                            tle: `${sat.name}\n${sat.line1}\n${sat.line2}`
+                            tle: `${sat.name}\n${sat.line1}\n${sat.line2}`,
+                            omm: sat.omm
                         }));
                         
-                        localStorage.setItem(App.config.brightestTlesCacheKey, JSON.stringify({
-                            timestamp: new Date().getTime(),
-                            sats: App.config.brightestSatellites
-                        }));
+                        await storageManager.set(App.config.brightestTlesCacheKey, App.config.brightestSatellites);
                     } catch (error) {
                         console.error("Fallo en la actualización de TLE para satélites brillantes:", error);
                     }
                 };
 
-                await Promise.all([fetchKnownTles(), fetchBrightestTles()]);
+                await Promise.all([fetchKnownTles().then(() => App.mySatellites.refreshSavedTles()), fetchBrightestTles(), App.starlinks.updateFromSource(true)]);
                 
                 console.log("Todos los TLEs actualizados.");
                 App.ui.hideLoadingModal();
@@ -3633,20 +4162,17 @@ elements.navBtnMenu.addEventListener('click', () => {
 				const now = new Date().getTime();
 		
 				// 1. Cargar desde el caché para tener datos iniciales rápidos y que la UI no se vea vacía.
-				try {
-					const cachedData = JSON.parse(localStorage.getItem(cacheKey) || '{}');
-					if (cachedData && cachedData.tles) {
-						for (const [id, tle] of Object.entries(cachedData.tles)) {
-							if (App.config.knownSatellites[id]) {
-								App.config.knownSatellites[id].tle = tle;
-							}
+				const cachedData = await storageManager.get(cacheKey);
+				if (cachedData && cachedData.data) {
+					for (const [id, tle] of Object.entries(cachedData.data)) {
+						if (App.config.knownSatellites[id]) {
+							App.config.knownSatellites[id].tle = tle;
 						}
 					}
-				} catch (e) { console.error("Error al cargar el caché de TLE conocidos:", e); }
+				}
 				
 				// 2. Verificar si el caché es reciente (menos de 24 horas). Si lo es, no hacemos nada más.
 				try {
-					const cachedData = JSON.parse(localStorage.getItem(cacheKey));
 					if (cachedData && (now - cachedData.timestamp < 24 * 60 * 60 * 1000)) {
 						console.log("TLEs de satélites populares cargados desde caché (válido).");
 						// Actualiza la UI para ocultar los spinners de carga aunque no se haya hecho un fetch.
@@ -3691,9 +4217,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 		
 					satElement.classList.add('is-loading');
 					try {
-						const response = await fetch(`https://corsproxy.io/?https://celestrak.org/NORAD/elements/gp.php?CATNR=${sat.noradId}&FORMAT=TLE`);
-						if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-						const tleText = await response.text();
+						const tleText = await this.fetchGp(`CATNR=${sat.noradId}&FORMAT=TLE`);
 						if (tleText && tleText.includes('1 ') && tleText.includes('2 ')) {
 							const trimmedTle = tleText.trim();
 							App.config.knownSatellites[id].tle = trimmedTle;
@@ -3725,16 +4249,11 @@ elements.navBtnMenu.addEventListener('click', () => {
 		
 				// 4. Guardar los datos nuevos con la marca de tiempo actual.
 				if (Object.keys(freshTles).length > 0) {
-					try { 
-						const dataToCache = {
-							timestamp: now,
-							tles: freshTles
-						};
-						localStorage.setItem(cacheKey, JSON.stringify(dataToCache)); 
-					} catch (e) { 
-						console.error("Error al guardar el caché de TLE:", e); 
-					}
+					await storageManager.set(cacheKey, freshTles, now);
 				}
+
+				// Los satélites guardados por el usuario se actualizan con la misma frecuencia, sin demorar la actualización diaria
+				App.mySatellites.refreshSavedTles().catch(error => console.error("Error actualizando los TLE guardados:", error));
 		
 				// Vuelve a ejecutar la actualización diaria con los TLEs nuevos.
 				App.ui.showDailyUpdate();
@@ -3744,11 +4263,11 @@ elements.navBtnMenu.addEventListener('click', () => {
 			async updateBrightestTlesFromSource() {
 				const cacheKey = App.config.brightestTlesCacheKey;
 				try {
-					const cachedData = JSON.parse(localStorage.getItem(cacheKey));
+					const cachedData = await storageManager.get(cacheKey);
 					const now = new Date().getTime();
 					// Cache válido por 24 horas
 					if (cachedData && (now - cachedData.timestamp < 24 * 60 * 60 * 1000)) {
-						App.config.brightestSatellites = cachedData.sats;
+						App.config.brightestSatellites = cachedData.data;
 						console.log("Satélites brillantes cargados desde caché.");
                         if (App.elements.brightestSatellitesScreen && !App.elements.brightestSatellitesScreen.classList.contains('hidden')) {
                             App.mySatellites.renderBrightestSatellites();
@@ -3762,22 +4281,16 @@ elements.navBtnMenu.addEventListener('click', () => {
                 // Si no hay caché válido, se muestra el modal de carga antes de hacer la petición
                 App.ui.showLoadingModal('calculating');
 				try {
-                    const celestrakUrl = 'https://celestrak.org/NORAD/elements/gp.php?GROUP=visual&FORMAT=tle';
-                    const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(celestrakUrl)}`;
-					const response = await fetch(proxyUrl);
-					if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-					const tleText = await response.text();
+					const tleText = await this.fetchGp('GROUP=visual&FORMAT=json');
 					const parsedSats = this.parseTLE(tleText);
 
 					App.config.brightestSatellites = parsedSats.map(sat => ({
 						name: sat.name,
-						tle: `${sat.name}\n${sat.line1}\n${sat.line2}`
+						tle: `${sat.name}\n${sat.line1}\n${sat.line2}`,
+						omm: sat.omm
 					}));
 					
-					localStorage.setItem(cacheKey, JSON.stringify({
-						timestamp: new Date().getTime(),
-						sats: App.config.brightestSatellites
-					}));
+					await storageManager.set(cacheKey, App.config.brightestSatellites);
 					console.log("Satélites brillantes actualizados desde CelesTrak.");
 
 					if (App.elements.brightestSatellitesScreen && !App.elements.brightestSatellitesScreen.classList.contains('hidden')) {
@@ -3822,12 +4335,13 @@ elements.navBtnMenu.addEventListener('click', () => {
 					return; 
 				}
 				parsedSatellites.forEach(sat => { try { 
-					const satrec = satellite.twoline2satrec(sat.line1, sat.line2); 
+					const satrec = this.createSatrec(sat); 
 					const tleString = `${sat.name}\n${sat.line1}\n${sat.line2}`;
 					App.state.trackedSatellites.push({ 
 						name: sat.name, 
 						satrec, 
 						tle: tleString,
+						omm: sat.omm,
 						markers: [], 
 						orbitLayers: [], 
 						timeLabelLayers: [], 
@@ -3847,11 +4361,32 @@ elements.navBtnMenu.addEventListener('click', () => {
 					satelliteNameDisplay.textContent = satName; 
 					satelliteInfoHeader.classList.remove('hidden'); 
 					mainControlPanel.classList.add('satellite-loaded');
-					if (!isSilent) App.playSound('success', 'G4');
+					if (!isSilent) {
+						App.playSound('success', 'G4');
+						// Las cargas automáticas (al iniciar o restaurar) no avisan: la antigüedad queda a la vista en la ficha
+						this.warnAboutStaleElements();
+					}
 				}
 				App.ui.updateButtonsState();
 			},
+			// Avisa si alguno de los satélites cargados tiene un TLE viejo
+			warnAboutStaleElements() {
+				const { elementSetAgeWarningDays } = App.config;
+				const stale = App.state.trackedSatellites.filter(sat => this.getElementSetQuality(sat.satrec).ageDays > elementSetAgeWarningDays);
+				if (stale.length === 0) return;
+				const message = stale.length === 1
+					? App.language.getTranslation('elementSetStaleToast').replace('{name}', stale[0].name).replace('{days}', Math.floor(this.getElementSetQuality(stale[0].satrec).ageDays))
+					: App.language.getTranslation('elementSetStaleToastMulti').replace('{count}', stale.length).replace('{days}', elementSetAgeWarningDays);
+				App.ui.showToast(message, 'error', 6000);
+			},
 			parseTLE(tleString) {
+				// Los datos OMM (JSON, XML o CSV de CelesTrak) se traducen a líneas TLE y conservan el registro original
+				if (ommParser.isOmmText(tleString)) {
+					return ommParser.parse(tleString).map(record => {
+						const lines = ommParser.toTleLines(record);
+						return lines ? { name: record.OBJECT_NAME, line1: lines.line1, line2: lines.line2, omm: record } : null;
+					}).filter(Boolean);
+				}
 				const lines = tleString.trim().split('\n').map(l => l.trim()), satellites = [];
 				for (let i = 0; i < lines.length; i++) {
 					let name, line1, line2; const isLine1 = (l) => l?.startsWith('1 '), isLine2 = (l) => l?.startsWith('2 ');
@@ -3860,6 +4395,102 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 				return satellites;
 			},
+			// Satrec de una entrada de parseTLE; si hay registro OMM se inicializa desde él
+			createSatrec(parsed, omm = parsed.omm) {
+				return omm ? ommParser.toSatrec(omm) : satellite.twoline2satrec(parsed.line1, parsed.line2);
+			},
+			_satrecsByTle: new Map(),
+			// Satrec de un texto TLE, guardado para no reinicializar SGP4 en cada tarjeta de pase
+			getSatrecForTle(tle) {
+				if (!this._satrecsByTle.has(tle)) {
+					const parsed = this.parseTLE(tle);
+					this._satrecsByTle.set(tle, parsed.length > 0 ? this.createSatrec(parsed[0]) : null);
+				}
+				return this._satrecsByTle.get(tle);
+			},
+			/**
+			 * Antigüedad del juego de elementos y error esperado de la predicción para `time`.
+			 * El error crece con la distancia a la época, y más rápido cuanto mayor es el arrastre (B*).
+			 * Es una estimación para avisar, no una cota: ver `config.elementSetUncertainty`.
+			 * @param {object} satrec
+			 * @param {Date|number} time - Instante de la predicción.
+			 * @returns {{epoch: Date, ageDays: number, errorKm: number, timingSeconds: number, level: 'ok'|'degraded'|'unreliable', reliableUntil: Date}}
+			 */
+			getElementSetQuality(satrec, time = Date.now()) {
+				const { baseKm, kmPerDay, dragFactor, degradedSeconds, unreliableSeconds } = App.config.elementSetUncertainty;
+				const dayMs = 86400000;
+				const epochMs = (satrec.jdsatepoch - 2440587.5) * dayMs;
+				const deltaDays = Math.abs(new Date(time).getTime() - epochMs) / dayMs;
+				const drag = dragFactor * Math.abs(satrec.bstar || 0);
+				const errorKm = baseKm + kmPerDay * deltaDays + drag * deltaDays ** 2;
+
+				// Velocidad orbital media: el error a lo largo de la órbita se traduce en adelanto o atraso
+				const meanMotion = satrec.no / 60; // rad/s
+				const speed = meanMotion * Math.cbrt(398600.4418 / meanMotion ** 2);
+				const timingSeconds = errorKm / speed;
+
+				// Δt en que el error llega al límite de confiabilidad
+				const maxErrorKm = unreliableSeconds * speed;
+				const reliableDays = drag > 0
+					? (-kmPerDay + Math.sqrt(kmPerDay ** 2 + 4 * drag * (maxErrorKm - baseKm))) / (2 * drag)
+					: (maxErrorKm - baseKm) / kmPerDay;
+
+				return {
+					epoch: new Date(epochMs),
+					ageDays: (Date.now() - epochMs) / dayMs,
+					errorKm,
+					timingSeconds,
+					level: timingSeconds >= unreliableSeconds ? 'unreliable' : (timingSeconds >= degradedSeconds ? 'degraded' : 'ok'),
+					reliableUntil: new Date(epochMs + Math.max(0, reliableDays) * dayMs)
+				};
+			},
+			// "± 8 s" o "± 3 min"
+			formatTimingUncertainty(seconds) {
+				return seconds < 90 ? `± ${Math.max(1, Math.round(seconds))} s` : `± ${Math.round(seconds / 60)} min`;
+			},
+			// Consulta GP de CelesTrak por el registro de fuentes.
+			// Todo lo que se descarga queda también en el historial de elementos de cada satélite.
+			async fetchGp(query) {
+				const text = await sourceRegistry.fetchText('gp', query, {
+					// Una página de error de un proxy también puede llegar con HTTP 200: solo vale si trae elementos.
+					// "No GP data found" es una respuesta legítima para un número NORAD sin datos, no para un grupo
+					validate: (text) => this.parseTLE(text).length > 0 || (query.startsWith('CATNR=') && /No GP data found/i.test(text))
+				});
+				this.recordElementSetHistory(this.parseTLE(text));
+				return text;
+			},
+			// Altitud media, perigeo, apogeo (km sobre el radio ecuatorial), inclinación (°) y B* de un satrec
+			getOrbitSummary(satrec) {
+				const earthRadius = 6378.137;
+				const meanMotion = satrec.no / 60; // rad/s
+				const semiMajorAxis = Math.cbrt(398600.4418 / meanMotion ** 2);
+				return {
+					meanAltitude: semiMajorAxis - earthRadius,
+					perigee: semiMajorAxis * (1 - satrec.ecco) - earthRadius,
+					apogee: semiMajorAxis * (1 + satrec.ecco) - earthRadius,
+					inclination: satellite.radiansToDegrees(satrec.inclo),
+					bstar: satrec.bstar
+				};
+			},
+			// Guarda en el historial las entradas de parseTLE (una por satélite y época)
+			async recordElementSetHistory(parsedSats) {
+				const records = parsedSats.map(sat => {
+					try {
+						const satrec = this.createSatrec(sat);
+						const noradId = sat.omm ? sat.omm.NORAD_CAT_ID : ommParser.decodeAlpha5(sat.line1.substring(2, 7));
+						if (!noradId) return null;
+						return { noradId, epoch: Math.round((satrec.jdsatepoch - 2440587.5) * 86400000), ...this.getOrbitSummary(satrec) };
+					} catch (e) {
+						return null;
+					}
+				}).filter(Boolean);
+				await storageManager.addElementSetHistory(records);
+			},
+			// Último juego de elementos publicado por CelesTrak para un número NORAD, o null si no hay
+			async fetchElementSet(noradId) {
+				const parsed = this.parseTLE(await this.fetchGp(`CATNR=${noradId}&FORMAT=json`));
+				return parsed.length > 0 ? parsed[0] : null;
+			},
 			handleTracking(avoidCentering = false) { 
 				if (App.state.isNearbyModeActive) this.nearbyMode.stop();
 				this.clearMapLayers();
@@ -3876,25 +4507,38 @@ elements.navBtnMenu.addEventListener('click', () => {
 					sliderContainer.title = isMultiSelect ? App.language.getTranslation('timelineSliderDisabled') : App.language.getTranslation('timelineSlider');
 				}
 				
-				const initialPositions = App.state.trackedSatellites.map(sat => {
+				const usePointLayer = this.usesPointLayer();
+				const initialPositions = usePointLayer ? [] : App.state.trackedSatellites.map(sat => {
 					if (!sat.satrec) return null;
 					try {
 						const posVel = satellite.propagate(sat.satrec, new Date(App.state.currentTime));
+						if (!posVel.position) return null;
 						const gmst = satellite.gstime(new Date(App.state.currentTime));
 						const posGd = satellite.eciToGeodetic(posVel.position, gmst);
-						return {
-							lat: satellite.radiansToDegrees(posGd.latitude),
-							lon: satellite.radiansToDegrees(posGd.longitude)
-						};
+						const lat = satellite.radiansToDegrees(posGd.latitude);
+						const lon = satellite.radiansToDegrees(posGd.longitude);
+						return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
 					} catch (e) { return null; }
 				});
 		
 				const offsets = [0, 360, -360, 720, -720];
+				if (usePointLayer) {
+					this._reportedPointFailures = 0;
+					App.state.satellitePointLayer = new SatellitePointLayer({
+						onClick: (sat) => {
+							App.playSound('uiClick', 'E4');
+							this.drawOrbitOnClick(sat);
+							App.state.satellitePointLayer.setSelected(App.state.selectedSatForOrbit);
+						},
+						onLabelClick: (sat) => this.showInfoModal(sat)
+					}).addTo(App.state.map);
+				}
 				App.state.trackedSatellites.forEach((sat, satIndex) => {
-					if (!sat.satrec) return;
+					if (!sat.satrec || App.state.satellitePointLayer) return;
 		
-					const initialPos = initialPositions[satIndex];
-					if (!initialPos) return;
+					// Sin posición inicial los marcadores se crean igual, ocultos: updatePositions avisa del fallo
+					// y los vuelve a mostrar si se pasa a una fecha que sí se puede propagar
+					const initialPos = initialPositions[satIndex] || { lat: 0, lon: 0 };
 		
 					const icon = L.divIcon({ 
 						className: '',
@@ -3923,12 +4567,14 @@ elements.navBtnMenu.addEventListener('click', () => {
 						
 						sat.markers.push(marker);
 					});
+					if (!initialPositions[satIndex]) this._setMarkersHidden(sat, true);
 				});
 			
 				this.updatePositions(); 
 				
 				if (!App.state.isAllSatellitesMode) {
 					this.drawOrbits();
+					this.showDecayTracks();
 				}
 		
 				App.prediction.findNextVisiblePass();
@@ -3938,29 +4584,33 @@ elements.navBtnMenu.addEventListener('click', () => {
 			},
 			updatePositions() {
 				if (App.state.isNearbyModeActive) return;
-				const { map, currentTime, observerCoords, isSpecialOrbitModeActive, isPassViewActive } = App.state;
+				if (App.state.satellitePointLayer) {
+					this.updatePointLayer();
+					return;
+				}
+				const { currentTime, observerCoords, isSpecialOrbitModeActive, isPassViewActive } = App.state;
 				const offsets = [0, 360, -360, 720, -720];
-				let failedSatellites = [];
 			
 				App.state.trackedSatellites.forEach((sat, index) => {
 					if (!sat.satrec) return;
 					
 					try {
 						const posVel = satellite.propagate(sat.satrec, new Date(currentTime));
+						// SGP4 no lanza excepciones al fallar: devuelve position false (o coordenadas NaN)
+						if (!posVel.position) throw new Error(`SGP4 error ${sat.satrec.error}`);
 						const gmst = satellite.gstime(new Date(currentTime));
 						const posGd = satellite.eciToGeodetic(posVel.position, gmst);
 						const lat = satellite.radiansToDegrees(posGd.latitude);
 						const lon = satellite.radiansToDegrees(posGd.longitude);
+						if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new Error(`Posición inválida (SGP4 error ${sat.satrec.error})`);
 
 						let isVisible = true;
 						if (observerCoords && (isSpecialOrbitModeActive || isPassViewActive)) {
-							const isObserverDark = App.prediction._isObserverInDarkness(new Date(currentTime), observerCoords, sat.satrec);
-							const isSatInSunlight = App.prediction.isSatIlluminated(posVel.position, new Date(currentTime));
-							const observerGd = { latitude: satellite.degreesToRadians(observerCoords[0]), longitude: satellite.degreesToRadians(observerCoords[1]), height: 0.1 };
+							const observerGd = App.location.getObserverGd(observerCoords);
 							const posEcf = satellite.eciToEcf(posVel.position, gmst);
 							const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
 							const elevation = satellite.radiansToDegrees(lookAngles.elevation);
-							isVisible = isObserverDark && isSatInSunlight && elevation > 10;
+							isVisible = App.prediction.isSatVisible(new Date(currentTime), observerCoords, posVel.position, elevation);
 						}
 			
 						const futureTime = new Date(currentTime.getTime() + 1000);
@@ -3977,6 +4627,11 @@ elements.navBtnMenu.addEventListener('click', () => {
 							sat.lastBearing = bearing;
 						} catch(e) { /* Fallo en cálculo de bearing ignorado */ }
 						
+						sat.currentPosition = { lat, lon, height: posGd.height };
+						if (sat.propagationFailure) {
+							sat.propagationFailure = null;
+							this._setMarkersHidden(sat, false);
+						}
 						sat.markers.forEach((marker, index) => {
 							const offset = offsets[index];
 							marker.setLatLng([lat, lon + offset]);
@@ -3994,20 +4649,129 @@ elements.navBtnMenu.addEventListener('click', () => {
 							}
 						});
 					} catch (e) {
-						console.error(`Error de propagación para ${sat.name}. Será removido.`, e);
-						failedSatellites.push(sat.tle);
-						if (sat.markers) sat.markers.forEach(m => map.removeLayer(m));
-						if (sat.orbitLayers) sat.orbitLayers.forEach(layer => map.removeLayer(layer));
+						// Se oculta mientras no se pueda propagar; si se vuelve a una fecha válida reaparece
+						sat.currentPosition = null;
+						const failure = this.classifyPropagationFailure(sat);
+						if (sat.propagationFailure !== failure) {
+							console.warn(`No se puede propagar ${sat.name} (${failure}).`, e);
+							sat.propagationFailure = failure;
+							this._setMarkersHidden(sat, true);
+							const key = failure === 'decayed' ? 'satDecayedToast' : 'satInvalidElementsToast';
+							App.ui.showToast(App.language.getTranslation(key).replace('{name}', sat.name), 'error', 6000);
+						}
 					}
 				});
-			
-				if (failedSatellites.length > 0) {
-					App.state.trackedSatellites = App.state.trackedSatellites.filter(
-						sat => !failedSatellites.includes(sat.tle)
-					);
-					if (App.state.trackedSatellites.length === 0) {
-						App.satellites.clearAll();
+				App.footprints.update();
+			},
+			_setMarkersHidden(sat, hidden) {
+				sat.markers.forEach(marker => {
+					marker.setOpacity(hidden ? 0 : 1);
+					const tooltipEl = marker.getTooltip()?.getElement();
+					if (tooltipEl) tooltipEl.classList.toggle('hidden', hidden);
+				});
+			},
+			// Con muchos satélites (o en el modo "todos") se dibujan en un canvas en lugar de un marcador por satélite
+			usesPointLayer() {
+				return App.state.isAllSatellitesMode || App.state.trackedSatellites.length >= App.config.pointLayerMinSatellites;
+			},
+			// Versión de updatePositions para la capa de puntos: un GMST para todos y sin rumbo ni tooltips
+			updatePointLayer() {
+				const { currentTime, observerCoords, isSpecialOrbitModeActive, isPassViewActive, satellitePointLayer } = App.state;
+				const time = new Date(currentTime);
+				const gmst = satellite.gstime(time);
+				const checkVisibility = observerCoords && (isSpecialOrbitModeActive || isPassViewActive);
+				const observerGd = checkVisibility ? App.location.getObserverGd(observerCoords) : null;
+
+				const points = [];
+				let failedCount = 0;
+				App.state.trackedSatellites.forEach(sat => {
+					if (!sat.satrec) return;
+					const posVel = satellite.propagate(sat.satrec, time);
+					const posGd = posVel.position ? satellite.eciToGeodetic(posVel.position, gmst) : null;
+					const lat = posGd ? satellite.radiansToDegrees(posGd.latitude) : NaN;
+					const lon = posGd ? satellite.radiansToDegrees(posGd.longitude) : NaN;
+					if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+						sat.propagationFailure = this.classifyPropagationFailure(sat);
+						sat.currentPosition = null;
+						failedCount++;
+						return;
 					}
+					sat.propagationFailure = null;
+					sat.currentPosition = { lat, lon, height: posGd.height };
+					let dimmed = false;
+					if (checkVisibility) {
+						const elevation = satellite.radiansToDegrees(satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(posVel.position, gmst)).elevation);
+						dimmed = !App.prediction.isSatVisible(time, observerCoords, posVel.position, elevation);
+					}
+					points.push({ ...sat.currentPosition, name: sat.name, dimmed, data: sat });
+				});
+				satellitePointLayer.setPoints(points);
+				this._reportPointLayerFailures(failedCount);
+				App.footprints.update();
+			},
+			// Con cientos de puntos no se avisa satélite por satélite: un solo aviso con la cantidad, cada vez que aumenta
+			_reportedPointFailures: 0,
+			_reportPointLayerFailures(failedCount) {
+				if (failedCount > this._reportedPointFailures) {
+					console.warn(`No se pueden propagar ${failedCount} satélites de la capa de puntos.`);
+					App.ui.showToast(App.language.getTranslation('pointLayerFailuresToast').replace('{count}', failedCount), 'error', 6000);
+				}
+				this._reportedPointFailures = failedCount;
+			},
+			// Por qué falla SGP4: 'decayed' si lo da por reingresado o el SATCAT registra el reingreso, si no 'invalid'.
+			// Hacia adelante en el tiempo, el arrastre termina en el error 6 (bajo la superficie) o en el 1 (semieje < 0,95 radios).
+			classifyPropagationFailure(sat) {
+				const epoch = (sat.satrec.jdsatepoch - 2440587.5) * 86400000;
+				if ([1, 6].includes(sat.satrec.error) && App.state.currentTime.getTime() > epoch) return 'decayed';
+				const noradId = sat.omm ? sat.omm.NORAD_CAT_ID : satcatManager._parseNoradFromTle(sat.tle);
+				const entry = noradId ? satcatManager.getEntry(noradId) : null;
+				return entry && entry.DECAY_DATE ? 'decayed' : 'invalid';
+			},
+			// Reingreso estimado con el historial del satélite, o null si no está bajando
+			async estimateDecay(sat) {
+				const noradId = sat.omm ? sat.omm.NORAD_CAT_ID : satcatManager._parseNoradFromTle(sat.tle);
+				const history = noradId ? await storageManager.getElementSetHistory(noradId) : [];
+				return decayEstimator.estimate(sat.satrec, history);
+			},
+			// Reingreso estimado solo si cae dentro de `decayWarningDays`
+			async getImminentDecay(sat) {
+				const estimate = await this.estimateDecay(sat);
+				if (!estimate || estimate.reentry.getTime() - Date.now() > App.config.decayWarningDays * 86400000) return null;
+				return estimate;
+			},
+			// Dibuja las últimas vueltas dentro de la ventana de reingreso de los objetos que están por caer
+			async showDecayTracks() {
+				const { map } = App.state;
+				if (App.state.decayTrackLayer) App.state.decayTrackLayer.remove();
+				App.state.decayTrackLayer = L.layerGroup().addTo(map);
+				const layer = App.state.decayTrackLayer;
+
+				for (const sat of App.state.trackedSatellites) {
+					const estimate = await this.getImminentDecay(sat);
+					// Si mientras tanto se cargó otro satélite, esta capa ya no corresponde
+					if (!estimate || App.state.decayTrackLayer !== layer) continue;
+
+					const end = estimate.windowEnd.getTime();
+					const start = Math.max(estimate.windowStart.getTime(), end - App.config.decayTrackMaxHours * 3600000);
+					const track = [];
+					let lastLon = null;
+					for (let t = start; t <= end; t += 30000) {
+						const time = new Date(t);
+						const posVel = satellite.propagate(sat.satrec, time);
+						if (!posVel.position) break; // SGP4 ya lo da por reingresado
+						const posGd = satellite.eciToGeodetic(posVel.position, satellite.gstime(time));
+						let lon = satellite.radiansToDegrees(posGd.longitude);
+						if (lastLon !== null) {
+							while (lon - lastLon > 180) lon -= 360;
+							while (lon - lastLon < -180) lon += 360;
+						}
+						lastLon = lon;
+						track.push([satellite.radiansToDegrees(posGd.latitude), lon]);
+					}
+					if (track.length < 2) continue;
+					[0, 360, -360, 720, -720].forEach(offset => {
+						L.polyline(track.map(([lat, lon]) => [lat, lon + offset]), { className: 'decay-track', pane: 'trajectoryPane' }).addTo(layer);
+					});
 				}
 			},
 			drawOrbitOnClick(clickedSat) {
@@ -4033,137 +4797,124 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 			},
 			drawSingleOrbit(satIndex) {
-				const { map, currentTime } = App.state;
 				const sat = App.state.trackedSatellites[satIndex];
 				if (!sat || !sat.satrec) return;
+				this._drawGroundTrack(sat, false);
+			},
+			drawOrbits() {
+				const { observerCoords, isSpecialOrbitModeActive } = App.state;
+				App.state.trackedSatellites.forEach(sat => this._drawGroundTrack(sat, isSpecialOrbitModeActive && !!observerCoords));
+			},
+			/**
+			 * Puntos de la traza entre `start` y `end` (ms), cada 1/120 de período. Se guardan en el satélite
+			 * y solo se recalculan cuando el tiempo pedido sale de la ventana ya calculada (o cambia el observador).
+			 */
+			getGroundTrack(sat, start, end) {
+				const { observerCoords } = App.state;
+				const key = JSON.stringify([sat.tle, observerCoords, App.state.observerAltitude, App.settings.getSunAltitudeLimit(), App.settings.getPredictionOptions()]);
+				const cached = sat.groundTrack;
+				if (cached && cached.key === key && cached.start <= start && cached.end >= end) {
+					return cached.points.filter(p => p.time >= start && p.time <= end);
+				}
+
+				const periodMs = (2 * Math.PI) / sat.satrec.no * 60000;
+				const stepMs = periodMs / 120;
+				// Se calcula con medio período de margen a cada lado para no recalcular en cada paso del tiempo
+				const windowStart = start - periodMs / 2;
+				const windowEnd = end + periodMs / 2;
+				const observerGd = observerCoords ? App.location.getObserverGd(observerCoords) : null;
+				const points = [];
+				let lastLon = null;
+
+				for (let t = windowStart; t <= windowEnd; t += stepMs) {
+					const time = new Date(t);
+					const pnv = satellite.propagate(sat.satrec, time);
+					if (!pnv.position) continue;
+					const gmst = satellite.gstime(time);
+					const posGd = satellite.eciToGeodetic(pnv.position, gmst);
+					const lat = satellite.radiansToDegrees(posGd.latitude);
+					let lon = satellite.radiansToDegrees(posGd.longitude);
+					if (lastLon !== null) {
+						while (lon - lastLon > 180) lon -= 360;
+						while (lon - lastLon < -180) lon += 360;
+					}
+					lastLon = lon;
+
+					let isVisible = false;
+					if (observerGd) {
+						const elevation = satellite.radiansToDegrees(satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(pnv.position, gmst)).elevation);
+						isVisible = App.prediction.isSatVisible(time, observerCoords, pnv.position, elevation);
+					}
+					points.push({ time: t, lat, lon, height: posGd.height, sunlit: passCalculator.isSatIlluminated(pnv.position, time), isVisible });
+				}
+
+				sat.groundTrack = { key, start: windowStart, end: windowEnd, points };
+				return points.filter(p => p.time >= start && p.time <= end);
+			},
+			// Dibuja las vueltas pasadas (punteadas) y futuras de la traza, coloreada por iluminación
+			// o, en el modo de órbita especial, por visibilidad desde la ciudad
+			_drawGroundTrack(sat, byVisibility) {
+				const { map, currentTime } = App.state;
+				const { orbitPastRevolutions, orbitFutureRevolutions, orbitLabelIntervalMinutes } = App.settings.current;
+				const offsets = [0, 360, -360, 720, -720];
 
 				if (sat.orbitLayers) sat.orbitLayers.forEach(layer => map.removeLayer(layer));
 				sat.orbitLayers = [];
 				if (sat.timeLabelLayers) sat.timeLabelLayers.forEach(layer => map.removeLayer(layer));
 				sat.timeLabelLayers = [];
-		
-				const period = (2 * Math.PI) / sat.satrec.no;
-				const step = period / 120;
-				const masterPath = [];
-				let lastLon = null;
-		
-				for (let i = 0; i <= period * 1.01; i += step) {
-					const time = new Date(currentTime.getTime() + i * 60000);
-					try {
-						const pnv = satellite.propagate(sat.satrec, new Date(time));
-						const gmst = satellite.gstime(new Date(time));
-						const posGd = satellite.eciToGeodetic(pnv.position, gmst);
-						
-						let lat = satellite.radiansToDegrees(posGd.latitude);
-						let lon = satellite.radiansToDegrees(posGd.longitude);
-		
-						if (lastLon !== null) {
-							while (lon - lastLon > 180) lon -= 360;
-							while (lon - lastLon < -180) lon += 360;
-						}
-						lastLon = lon;
-						masterPath.push([lat, lon]);
-					} catch (e) {
-						continue;
+				sat.drawnTrack = null;
+				sat.passTrack = null;
+				if (!sat.satrec) return;
+
+				const periodMs = (2 * Math.PI) / sat.satrec.no * 60000;
+				const now = currentTime.getTime();
+				const points = this.getGroundTrack(sat, now - orbitPastRevolutions * periodMs, now + orbitFutureRevolutions * periodMs * 1.01);
+				if (points.length < 2) return;
+				sat.drawnTrack = points;
+
+				const classNameOf = (point) => {
+					const classes = [byVisibility ? (point.isVisible ? 'orbit-path' : 'orbit-path-shadow') : (point.sunlit ? 'orbit-path' : 'orbit-path-eclipsed')];
+					if (point.time < now) classes.push('orbit-path-past');
+					return classes.join(' ');
+				};
+				const segments = [];
+				points.forEach((point, index) => {
+					const className = classNameOf(point);
+					const current = segments[segments.length - 1];
+					if (!current || current.className !== className) {
+						// Cada tramo arranca en el último punto del anterior para que no queden huecos
+						segments.push({ className, path: index > 0 ? [[points[index - 1].lat, points[index - 1].lon]] : [] });
 					}
-				}
-		
-				if (masterPath.length < 2) return;
-		
-				const offsets = [0, 360, -360, 720, -720];
-				offsets.forEach(offset => {
-					const offsetPath = masterPath.map(p => [p[0], p[1] + offset]);
-					sat.orbitLayers.push(L.polyline(offsetPath, { className: 'orbit-path', pane: 'trajectoryPane' }).addTo(map));
+					segments[segments.length - 1].path.push([point.lat, point.lon]);
 				});
-			},
-			drawOrbits() {
-				const { map, currentTime, observerCoords, isSpecialOrbitModeActive } = App.state;
-				const offsets = [0, 360, -360, 720, -720];
-			
-				App.state.trackedSatellites.forEach(sat => {
-					if (sat.orbitLayers) sat.orbitLayers.forEach(layer => map.removeLayer(layer));
-					sat.orbitLayers = [];
-					if (sat.timeLabelLayers) sat.timeLabelLayers.forEach(layer => map.removeLayer(layer));
-					sat.timeLabelLayers = [];
-			
-					if (!sat.satrec) return;
-
-					const period = (2 * Math.PI) / sat.satrec.no;
-					const step = period / 120;
-					const masterPath = [];
-					let lastLon = null;
-			
-					for (let i = 0; i <= period * 1.01; i += step) {
-						const time = new Date(currentTime.getTime() + i * 60000);
-						try {
-							const pnv = satellite.propagate(sat.satrec, new Date(time));
-							const gmst = satellite.gstime(new Date(time));
-							const posGd = satellite.eciToGeodetic(pnv.position, gmst);
-							
-							let lat = satellite.radiansToDegrees(posGd.latitude);
-							let lon = satellite.radiansToDegrees(posGd.longitude);
-			
-							if (lastLon !== null) {
-								while (lon - lastLon > 180) lon -= 360;
-								while (lon - lastLon < -180) lon += 360;
-							}
-							lastLon = lon;
-			
-							let isVisibleFromCity = false;
-							if (isSpecialOrbitModeActive && observerCoords) {
-								const isSatInSunlight = App.prediction.isSatIlluminated(pnv.position, time);
-								const isObserverDark = App.prediction._isObserverInDarkness(time, observerCoords, sat.satrec);
-								const observerGd = { latitude: satellite.degreesToRadians(observerCoords[0]), longitude: satellite.degreesToRadians(observerCoords[1]), height: 0.1 };
-								const posEcf = satellite.eciToEcf(pnv.position, gmst);
-								const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
-								const elevation = satellite.radiansToDegrees(lookAngles.elevation);
-								
-								isVisibleFromCity = isSatInSunlight && isObserverDark && elevation > 10;
-							}
-			
-							masterPath.push({ lat, lon, isVisible: isVisibleFromCity });
-						} catch (e) {
-							continue;
-						}
-					}
-			
-					if (masterPath.length < 2) return;
-			
-					if (isSpecialOrbitModeActive && observerCoords) {
-						const segments = [];
-						let currentSegment = { path: [], isVisible: masterPath[0].isVisible };
-			
-						masterPath.forEach(point => {
-							if (point.isVisible !== currentSegment.isVisible) {
-								segments.push(currentSegment);
-								currentSegment = { path: [currentSegment.path[currentSegment.path.length - 1]], isVisible: point.isVisible };
-							}
-							currentSegment.path.push([point.lat, point.lon]);
-						});
-						segments.push(currentSegment);
-			
-						segments.forEach(segment => {
-							if (segment.path.length < 2) return;
-							
-							const options = {
-								className: segment.isVisible ? 'orbit-path' : 'orbit-path-shadow',
-								pane: 'trajectoryPane'
-							};
-			
-							offsets.forEach(offset => {
-								const offsetPath = segment.path.map(p => [p[0], p[1] + offset]);
-								sat.orbitLayers.push(L.polyline(offsetPath, options).addTo(map));
-							});
-						});
-			
-					} else {
-						const continuousPath = masterPath.map(p => [p.lat, p.lon]);
-						offsets.forEach(offset => {
-							const offsetPath = continuousPath.map(p => [p[0], p[1] + offset]);
-							sat.orbitLayers.push(L.polyline(offsetPath, { className: 'orbit-path', pane: 'trajectoryPane' }).addTo(map));
-						});
-					}
+				segments.forEach(segment => {
+					if (segment.path.length < 2) return;
+					offsets.forEach(offset => {
+						const offsetPath = segment.path.map(p => [p[0], p[1] + offset]);
+						sat.orbitLayers.push(L.polyline(offsetPath, { className: segment.className, pane: 'trajectoryPane' }).addTo(map));
+					});
 				});
+
+				if (!orbitLabelIntervalMinutes) return;
+				const intervalMs = orbitLabelIntervalMinutes * 60000;
+				for (let i = 1; i < points.length; i++) {
+					const previous = points[i - 1], point = points[i];
+					const labelTime = Math.ceil(previous.time / intervalMs) * intervalMs;
+					if (labelTime > point.time || labelTime === now) continue;
+					// Posición interpolada entre las dos muestras que rodean la hora redonda
+					const fraction = (labelTime - previous.time) / (point.time - previous.time);
+					const lat = previous.lat + (point.lat - previous.lat) * fraction;
+					const lon = previous.lon + (point.lon - previous.lon) * fraction;
+					const icon = L.divIcon({
+						className: 'trajectory-time-label orbit-time-label',
+						html: `<div>${App.time.formatCityTime(new Date(labelTime), { hour: '2-digit', minute: '2-digit' })}</div>`,
+						iconSize: [40, 20],
+						iconAnchor: [20, 25]
+					});
+					offsets.forEach(offset => {
+						sat.timeLabelLayers.push(L.marker([lat, lon + offset], { icon, pane: 'trajectoryPane', interactive: false, keyboard: false }).addTo(map));
+					});
+				}
 			},
 			centerOnSatellite() {
 				if (App.state.trackedSatellites.length > 0 && App.state.map) {
@@ -4197,7 +4948,18 @@ elements.navBtnMenu.addEventListener('click', () => {
 					sat.orbitLayers = [];
 					if (sat.timeLabelLayers) sat.timeLabelLayers.forEach(layer => map.removeLayer(layer));
 					sat.timeLabelLayers = [];
+					sat.drawnTrack = null;
+					sat.passTrack = null;
 				});
+				if (App.state.decayTrackLayer) {
+					App.state.decayTrackLayer.remove();
+					App.state.decayTrackLayer = null;
+				}
+				if (App.state.satellitePointLayer) {
+					App.state.satellitePointLayer.remove();
+					App.state.satellitePointLayer = null;
+				}
+				App.footprints.clear();
 			},
 			clearAll() { 
 				this.nearbyMode.stop();
@@ -4229,6 +4991,16 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 				
 				App.playSound('uiClick', 'E4');
+				if (sat.propagationFailure) {
+					const key = sat.propagationFailure === 'decayed' ? 'satDecayedState' : 'satInvalidElementsState';
+					App.elements.satelliteInfoModalTitle.textContent = sat.name;
+					App.elements.satelliteInfoContent.innerHTML = `
+						<p class="text-danger" data-lang-key="${key}">${App.language.getTranslation(key)}</p>
+						${this._getElementSetHtml(sat)}
+						${this._getSatcatDetailsHtml(sat)}`;
+					App.ui.showModal(App.elements.satelliteInfoModal);
+					return;
+				}
 				try {
 					const posVel = satellite.propagate(sat.satrec, new Date(App.state.currentTime)); const gmst = satellite.gstime(new Date(App.state.currentTime)); const posGd = satellite.eciToGeodetic(posVel.position, gmst);
 					const vel = posVel.velocity; const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y + vel.z * vel.z);
@@ -4247,7 +5019,13 @@ elements.navBtnMenu.addEventListener('click', () => {
 								<p class="font-bold text-sm text-text-secondary uppercase tracking-wider" data-lang-key="magnitudeMax">${App.language.getTranslation('magnitudeMax')}</p>
 								<p id="max-magnitude-value" class="font-mono text-xl text-text-secondary mt-1"><i class="fa-solid fa-spinner fa-spin"></i></p>
 							</div>
-						</div>`;
+						</div>
+						<div id="decay-estimate"></div>
+						${this._getElementSetHtml(sat)}
+						<div id="element-set-history" class="mt-6 pt-4 border-t border-gray-700"></div>
+						${this._getSatcatDetailsHtml(sat)}`;
+					this.showDecayEstimate(sat);
+					this.showElementSetHistory(sat);
                     
                     if (App.state.isNearbyModeActive && App.state.observerCoords) {
 						this.calculateMaxMagnitudeForPass(sat, App.state.observerCoords)
@@ -4273,6 +5051,168 @@ elements.navBtnMenu.addEventListener('click', () => {
 				App.ui.showModal(App.elements.satelliteInfoModal);
 			},
 
+			// Época y antigüedad del TLE, y hasta cuándo se puede confiar en lo que se muestra
+			_getElementSetHtml(sat) {
+				const t = (key) => App.language.getTranslation(key);
+				const quality = this.getElementSetQuality(sat.satrec, App.state.currentTime);
+				const dateOptions = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+				const isOld = quality.ageDays > App.config.elementSetAgeWarningDays;
+				const rows = [
+					['elementSetEpoch', App.time.formatCityTime(quality.epoch, dateOptions)],
+					['elementSetAge', `<span class="${isOld ? 'text-warning' : ''}">${t('elementSetAgeDays').replace('{days}', quality.ageDays.toFixed(1))}</span>`],
+					['elementSetUncertaintyNow', this.formatTimingUncertainty(quality.timingSeconds)],
+					['elementSetReliableUntil', App.time.formatCityTime(quality.reliableUntil, dateOptions)]
+				];
+				const rowsHtml = rows.map(([key, value]) => `
+							<dt class="text-text-secondary" data-lang-key="${key}">${t(key)}</dt>
+							<dd class="font-mono text-right">${value}</dd>`).join('');
+				const warning = quality.level === 'unreliable'
+					? `<p class="text-sm text-red-400 mt-3"><i class="fa-solid fa-triangle-exclamation mr-1"></i><span data-lang-key="elementSetBeyondHorizon">${t('elementSetBeyondHorizon')}</span></p>`
+					: '';
+				return `
+					<div class="mt-6 pt-4 border-t border-gray-700">
+						<h4 class="font-bold text-sm text-text-secondary uppercase tracking-wider mb-3" data-lang-key="elementSetTitle">${t('elementSetTitle')}</h4>
+						<dl class="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">${rowsHtml}
+						</dl>${warning}
+					</div>`;
+			},
+
+			// Reingreso estimado en la ficha, solo para los objetos que están por caer
+			async showDecayEstimate(sat) {
+				const estimate = await this.getImminentDecay(sat);
+				const container = document.getElementById('decay-estimate');
+				if (!estimate || !container) return;
+				const t = (key) => App.language.getTranslation(key);
+				const dateOptions = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+				const sourceKey = estimate.source === 'history' ? 'decaySourceHistory' : 'decaySourceDrag';
+				const rows = [
+					['decayReentry', App.time.formatCityTime(estimate.reentry, dateOptions)],
+					['decayWindow', `${App.time.formatCityTime(estimate.windowStart, dateOptions)} – ${App.time.formatCityTime(estimate.windowEnd, dateOptions)}`],
+					['decayRate', `${t('decayRateValue').replace('{rate}', estimate.rateKmPerDay.toFixed(2))} <span class="text-text-secondary">(${t(sourceKey)})</span>`]
+				];
+				container.innerHTML = `
+					<div class="mt-6 pt-4 border-t border-gray-700">
+						<h4 class="font-bold text-sm text-red-400 uppercase tracking-wider mb-3" data-lang-key="decayEstimateTitle"><i class="fa-solid fa-fire mr-1"></i>${t('decayEstimateTitle')}</h4>
+						<dl class="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">${rows.map(([key, value]) => `
+							<dt class="text-text-secondary" data-lang-key="${key}">${t(key)}</dt>
+							<dd class="font-mono text-right">${value}</dd>`).join('')}
+						</dl>
+					</div>`;
+			},
+			HISTORY_METRICS: {
+				meanAltitude: { labelKey: 'historyMeanAltitude', format: value => `${value.toFixed(1)} km` },
+				perigee: { labelKey: 'historyPerigee', format: value => `${value.toFixed(1)} km` },
+				inclination: { labelKey: 'historyInclination', format: value => `${value.toFixed(3)}°` },
+				bstar: { labelKey: 'historyBstar', format: value => value.toExponential(2) }
+			},
+			// Historial de los elementos del satélite en la ficha, con un selector de la magnitud a graficar
+			async showElementSetHistory(sat) {
+				const container = document.getElementById('element-set-history');
+				if (!container) return;
+				const t = (key) => App.language.getTranslation(key);
+				const noradId = sat.omm ? sat.omm.NORAD_CAT_ID : satcatManager._parseNoradFromTle(sat.tle);
+				let history = noradId ? await storageManager.getElementSetHistory(noradId) : [];
+
+				// Los elementos que se están mostrando cuentan aunque no se hayan descargado (p. ej. un TLE pegado a mano)
+				const currentEpoch = Math.round((sat.satrec.jdsatepoch - 2440587.5) * 86400000);
+				if (!history.some(record => record.epoch === currentEpoch)) {
+					history = [...history, { noradId, epoch: currentEpoch, ...this.getOrbitSummary(sat.satrec) }].sort((a, b) => a.epoch - b.epoch);
+				}
+
+				const header = `<h4 class="font-bold text-sm text-text-secondary uppercase tracking-wider mb-3" data-lang-key="elementSetHistoryTitle">${t('elementSetHistoryTitle')}</h4>`;
+				if (history.length < 2) {
+					container.innerHTML = `${header}<p class="text-sm text-text-secondary" data-lang-key="elementSetHistoryEmpty">${t('elementSetHistoryEmpty')}</p>`;
+					return;
+				}
+
+				const render = () => {
+					const metric = App.state.elementSetHistoryMetric;
+					const buttons = Object.entries(this.HISTORY_METRICS).map(([key, { labelKey }]) =>
+						`<button class="segmented-control-btn ${key === metric ? 'active' : ''}" data-metric="${key}" data-lang-key="${labelKey}">${t(labelKey)}</button>`).join('');
+					container.innerHTML = `
+						${header}
+						<div class="segmented-control mb-3">${buttons}</div>
+						${this._renderHistoryChart(history, metric)}
+						<p class="text-xs text-text-secondary text-right mt-1">${t('elementSetHistoryCount').replace('{count}', history.length)}</p>`;
+					container.querySelectorAll('.segmented-control-btn').forEach(btn => btn.addEventListener('click', () => {
+						App.playSound('uiClick', 'D4');
+						App.state.elementSetHistoryMetric = btn.dataset.metric;
+						render();
+					}));
+				};
+				render();
+			},
+			// Gráfico SVG de una magnitud del historial en función de la época
+			_renderHistoryChart(history, metric) {
+				const { format } = this.HISTORY_METRICS[metric];
+				const width = 320, height = 150;
+				const pad = { left: 64, right: 8, top: 8, bottom: 20 };
+				const plotWidth = width - pad.left - pad.right, plotHeight = height - pad.top - pad.bottom;
+
+				const values = history.map(record => record[metric]);
+				let min = Math.min(...values), max = Math.max(...values);
+				if (max - min === 0) {
+					const margin = Math.abs(max) * 0.01 || 1;
+					min -= margin;
+					max += margin;
+				}
+				const firstEpoch = history[0].epoch, lastEpoch = history[history.length - 1].epoch;
+				const x = (epoch) => pad.left + (epoch - firstEpoch) / ((lastEpoch - firstEpoch) || 1) * plotWidth;
+				const y = (value) => pad.top + (max - value) / (max - min) * plotHeight;
+
+				const points = history.map(record => `${x(record.epoch).toFixed(1)},${y(record[metric]).toFixed(1)}`);
+				const dateOptions = { day: 'numeric', month: 'short', year: '2-digit' };
+				const label = (text, textX, textY, anchor) => `<text x="${textX}" y="${textY}" text-anchor="${anchor}" font-size="9" fill="var(--color-text-secondary)">${text}</text>`;
+				return `
+					<svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+						<line x1="${pad.left}" y1="${pad.top}" x2="${width - pad.right}" y2="${pad.top}" stroke="rgba(255,255,255,0.1)" />
+						<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="rgba(255,255,255,0.1)" />
+						${label(format(max), pad.left - 4, pad.top + 3, 'end')}
+						${label(format(min), pad.left - 4, height - pad.bottom + 3, 'end')}
+						${label(App.time.formatCityTime(new Date(firstEpoch), dateOptions), pad.left, height - 6, 'start')}
+						${label(App.time.formatCityTime(new Date(lastEpoch), dateOptions), width - pad.right, height - 6, 'end')}
+						<polyline points="${points.join(' ')}" fill="none" stroke="var(--color-secondary)" stroke-width="1.5" stroke-linejoin="round" />
+						${points.map(point => `<circle cx="${point.split(',')[0]}" cy="${point.split(',')[1]}" r="2" fill="var(--color-secondary)" />`).join('')}
+					</svg>`;
+			},
+
+			// Ficha del objeto según el SATCAT, con la magnitud estándar que usan los cálculos y su origen
+			_getSatcatDetailsHtml(sat) {
+				const t = (key) => App.language.getTranslation(key);
+				const noradId = sat.omm ? sat.omm.NORAD_CAT_ID : satcatManager._parseNoradFromTle(sat.tle);
+				const entry = noradId ? satcatManager.getEntry(noradId) : null;
+				const header = `<h4 class="font-bold text-sm text-text-secondary uppercase tracking-wider mb-3" data-lang-key="satcatDetailsTitle">${t('satcatDetailsTitle')}</h4>`;
+				if (!entry) {
+					return `<div class="mt-6 pt-4 border-t border-gray-700">${header}<p class="text-sm text-text-secondary" data-lang-key="satcatEntryMissing">${t('satcatEntryMissing')}</p></div>`;
+				}
+
+				const typeKey = App.catalog.OBJECT_TYPE_KEYS[entry.OBJECT_TYPE];
+				const rcs = typeof entry.RCS === 'number' ? `${entry.RCS.toFixed(2)} m²` : (entry.RCS_SIZE || null);
+				const { magnitude, source } = satcatManager.getMagnitudeInfo(noradId);
+				const sourceKeys = { mag: 'magnitudeSourceMag', rcs: 'magnitudeSourceRcs', default: 'magnitudeSourceDefault' };
+				const rows = [
+					['satcatNoradCospar', `${entry.NORAD_CAT_ID} · ${entry.OBJECT_ID || '--'}`],
+					['satcatOwner', entry.OWNER],
+					['satcatObjectType', typeKey ? t(typeKey) : entry.OBJECT_TYPE],
+					['satcatLaunch', entry.LAUNCH_DATE],
+					['satcatLaunchSite', entry.LAUNCH_SITE],
+					['satcatRcs', rcs],
+					['satcatPeriod', typeof entry.PERIOD === 'number' ? `${entry.PERIOD.toFixed(1)} min` : null],
+					['satcatApogeePerigee', typeof entry.APOGEE === 'number' && typeof entry.PERIGEE === 'number' ? `${entry.APOGEE} / ${entry.PERIGEE} km` : null],
+					['satcatDecayDate', entry.DECAY_DATE],
+					['satcatStdMagnitude', `${magnitude.toFixed(1)} <span class="text-text-secondary">(${t(sourceKeys[source])})</span>`]
+				];
+				const rowsHtml = rows.filter(([, value]) => value !== null && value !== undefined && value !== '').map(([key, value]) => `
+							<dt class="text-text-secondary" data-lang-key="${key}">${t(key)}</dt>
+							<dd class="font-mono text-right">${value}</dd>`).join('');
+				return `
+					<div class="mt-6 pt-4 border-t border-gray-700">
+						${header}
+						<dl class="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">${rowsHtml}
+						</dl>
+					</div>`;
+			},
+
             async calculateMagnitude(sat, observerCoords, time) {
                 if (!sat.satrec || !observerCoords) return null;
 
@@ -4286,19 +5226,15 @@ elements.navBtnMenu.addEventListener('click', () => {
                     // 2. Obtener posición del satélite y del sol.
                     const posVel = satellite.propagate(sat.satrec, time);
                     const satEci = posVel.position;
-                    const sunEci = getSunEci(time);
+                    const sunEci = passCalculator.getSunEci(time);
 
-                    // 3. Verificar si el satélite está iluminado.
-                    const isSatInSunlight = App.prediction.isSatIlluminated(satEci, time);
-                    if (!isSatInSunlight) return null;
+                    // 3. Verificar si el satélite está iluminado (en penumbra se atenúa más abajo).
+                    const illumination = App.prediction.getIlluminationFraction(satEci, time);
+                    if (illumination <= 0) return null;
 
                     // 4. Obtener vector y posición del observador.
                     const gmst = satellite.gstime(time);
-                    const observerGd = {
-                        latitude: satellite.degreesToRadians(observerCoords[0]),
-                        longitude: satellite.degreesToRadians(observerCoords[1]),
-                        height: 0.1
-                    };
+                    const observerGd = App.location.getObserverGd(observerCoords);
                     const observerEcf = satellite.geodeticToEcf(observerGd);
                     const observerEci = satellite.ecfToEci(observerEcf, gmst);
                     
@@ -4319,13 +5255,14 @@ elements.navBtnMenu.addEventListener('click', () => {
                     const phaseFunction = (1 / Math.PI) * (Math.sin(phi) + (Math.PI - phi) * Math.cos(phi));
                     if (phaseFunction <= 0) return null;
 
-                    // 9. Fórmula de magnitud aparente (sin correcciones aún).
-                    const magnitude = M0 + 5 * Math.log10(range / 1000) - 2.5 * Math.log10(phaseFunction);
+                    // 9. Fórmula de magnitud aparente, atenuada por la fracción del disco solar que ve el satélite.
+                    const magnitude = M0 + 5 * Math.log10(range / 1000) - 2.5 * Math.log10(phaseFunction) - 2.5 * Math.log10(illumination);
                     
                     // --- NUEVO: Corrección por Extinción Atmosférica ---
                     const posEcf = satellite.eciToEcf(satEci, gmst);
                     const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
-                    const elevationRad = lookAngles.elevation;
+                    // La masa de aire se calcula con la elevación aparente si la refracción está activada
+                    const elevationRad = satellite.degreesToRadians(App.prediction.applyRefraction(satellite.radiansToDegrees(lookAngles.elevation)));
 
                     if (elevationRad > 0) {
                         const k = 0.2; // Coeficiente de extinción atmosférica (valor promedio).
@@ -4375,11 +5312,11 @@ elements.navBtnMenu.addEventListener('click', () => {
 				try { 
 					const savedLoc = localStorage.getItem(App.config.locationStorageKey); 
 					if (savedLoc) { 
-						const { lat, lon, name, timezoneData } = JSON.parse(savedLoc); 
+						const { lat, lon, name, timezoneData, altitude } = JSON.parse(savedLoc); 
 						App.state.observerCoords = [lat, lon];
 						App.state.observerTimeZone = timezoneData || null;
-						const successText = `${App.language.getTranslation('locationLabel')}: ${name}`;
-						this._updateLocationUI(name, 'success', successText);
+						App.state.observerAltitude = altitude || 0;
+						this._updateLocationUI(name, 'success', this._getSuccessText(name));
 						App.ui.updateButtonsState();
 						App.time.updateClockPill();
 					} else {
@@ -4387,6 +5324,50 @@ elements.navBtnMenu.addEventListener('click', () => {
 					}
 				} catch (e) { console.error(e); } 
 			},
+			/**
+			 * Posición geodésica del observador para satellite.js (radianes y altura en km).
+			 * Todas las elevaciones, sombras y magnitudes salen de acá para respetar la altitud guardada.
+			 */
+			getObserverGd(coords = App.state.observerCoords) {
+				return {
+					latitude: satellite.degreesToRadians(coords[0]),
+					longitude: satellite.degreesToRadians(coords[1]),
+					height: (App.state.observerAltitude || 0) / 1000
+				};
+			},
+			_getSuccessText(name) {
+				const altitude = Math.round(App.state.observerAltitude || 0);
+				return `${App.language.getTranslation('locationLabel')}: ${name} (${altitude} m)`;
+			},
+			// Altitud del terreno (m) según Open-Meteo; si falla se asume nivel del mar
+			async _fetchAltitude(lat, lon, signal) {
+				try {
+					const response = await fetch(`https://api.open-meteo.com/v1/elevation?latitude=${lat}&longitude=${lon}`, { signal });
+					if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+					const data = await response.json();
+					const altitude = data.elevation?.[0];
+					// Mismo rango que el ajuste manual: hay lugares habitados bajo el nivel del mar
+					return Number.isFinite(altitude) ? Math.max(-500, Math.min(9000, altitude)) : 0;
+				} catch (e) {
+					if (e.name === 'AbortError') throw e;
+					console.warn("No se pudo obtener la altitud, se usará 0 m:", e);
+					return 0;
+				}
+			},
+			setAltitude(meters) {
+				if (isNaN(meters)) return;
+				App.state.observerAltitude = Math.max(-500, Math.min(9000, meters));
+				try {
+					const savedLoc = JSON.parse(localStorage.getItem(App.config.locationStorageKey));
+					if (savedLoc) {
+						savedLoc.altitude = App.state.observerAltitude;
+						this.saveToStorage(savedLoc);
+						this._updateLocationUI(savedLoc.name, 'success', this._getSuccessText(savedLoc.name));
+					}
+				} catch (e) { console.error(e); }
+				App.settings.updateUI();
+				App.satellites.drawOrbits();
+			},
 			_updateLocationUI(name, status, feedbackText) {
 				const { locationInput, bestPassesLocationInput, locationFeedback, bestPassesLocationFeedback, locationSearchIcon, bestPassesLocationSearchIcon, locationSearchBtn, bestPassesLocationSearchBtn } = App.elements;
 
@@ -4474,6 +5455,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				if (cityName.trim().length === 0) {
 					App.state.observerCoords = null;
 					App.state.observerTimeZone = null;
+					App.state.observerAltitude = 0;
 					this._updateLocationUI('', 'clear', '');
 					localStorage.removeItem(App.config.locationStorageKey);
 					App.time.updateClockPill();
@@ -4511,22 +5493,25 @@ elements.navBtnMenu.addEventListener('click', () => {
 						const { lat, lon, display_name } = data[0];
 						const simpleName = display_name.split(',')[0];
 						App.state.observerCoords = [parseFloat(lat), parseFloat(lon)];
+						const altitude = await this._fetchAltitude(lat, lon, signal);
+						App.state.observerAltitude = altitude;
 		
 						try {
 							const tzResponse = await fetch(`https://corsproxy.io/?https://timeapi.io/api/TimeZone/coordinate?latitude=${lat}&longitude=${lon}`, { signal });
 							if (tzResponse.ok) {
 								const timezoneData = await tzResponse.json();
 								App.state.observerTimeZone = timezoneData;
-								this.saveToStorage({ lat: parseFloat(lat), lon: parseFloat(lon), name: simpleName, timezoneData });
+								this.saveToStorage({ lat: parseFloat(lat), lon: parseFloat(lon), name: simpleName, timezoneData, altitude });
 							} else { throw new Error('API de zona horaria falló'); }
 						} catch (tzError) {
 							console.error("No se pudo obtener la zona horaria, se usará UTC como fallback", tzError);
 							App.state.observerTimeZone = null;
-							this.saveToStorage({ lat: parseFloat(lat), lon: parseFloat(lon), name: simpleName, timezoneData: null });
+							this.saveToStorage({ lat: parseFloat(lat), lon: parseFloat(lon), name: simpleName, timezoneData: null, altitude });
 						}
 		
 						App.time.updateTimeUI();
-						this._updateLocationUI(simpleName, 'success', `${App.language.getTranslation('locationLabel')}: ${simpleName}`);
+						App.settings.updateUI();
+						this._updateLocationUI(simpleName, 'success', this._getSuccessText(simpleName));
 						setTimeout(() => App.elements.bestPassesLocationFeedback.classList.remove('is-visible'), 2000);
 						App.playSound('success', 'E4');
 						if (App.state.map) {
@@ -4565,7 +5550,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				this._updateLocationUI(App.elements.locationInput.value, 'error', msg);
 				App.playSound('error', 'C3'); 
 			},
-			clear() { App.state.userLocationMarkers.forEach(m => App.state.map.removeLayer(m)); App.state.userLocationMarkers = []; App.elements.locationInput.value = ''; App.elements.locationFeedback.textContent = ''; App.state.observerCoords = null; App.state.observerTimeZone = null; localStorage.removeItem(App.config.locationStorageKey); App.time.updateClockPill(); },
+			clear() { App.state.userLocationMarkers.forEach(m => App.state.map.removeLayer(m)); App.state.userLocationMarkers = []; App.elements.locationInput.value = ''; App.elements.locationFeedback.textContent = ''; App.state.observerCoords = null; App.state.observerTimeZone = null; App.state.observerAltitude = 0; localStorage.removeItem(App.config.locationStorageKey); App.time.updateClockPill(); },
 			
 			enterManualMode() {
 				if (App.state.isManualLocationMode || !App.state.map) return;
@@ -4621,23 +5606,26 @@ elements.navBtnMenu.addEventListener('click', () => {
 					const address = data.address;
 					const simpleName = address.city || address.town || address.village || data.display_name.split(',')[0] || App.language.getTranslation('manualLocationName');
 
-					// Obtener zona horaria
+					// Obtener altitud y zona horaria
 					App.state.observerCoords = [lat, lon];
+					const altitude = await this._fetchAltitude(lat, lon);
+					App.state.observerAltitude = altitude;
 					try {
 						const tzResponse = await fetch(`https://corsproxy.io/?https://timeapi.io/api/TimeZone/coordinate?latitude=${lat}&longitude=${lon}`);
 						if (tzResponse.ok) {
 							const timezoneData = await tzResponse.json();
 							App.state.observerTimeZone = timezoneData;
-							this.saveToStorage({ lat, lon, name: simpleName, timezoneData });
+							this.saveToStorage({ lat, lon, name: simpleName, timezoneData, altitude });
 						} else { throw new Error('Timezone API failed'); }
 					} catch (tzError) {
 						console.warn("Could not get timezone, falling back to UTC", tzError);
 						App.state.observerTimeZone = null;
-						this.saveToStorage({ lat, lon, name: simpleName, timezoneData: null });
+						this.saveToStorage({ lat, lon, name: simpleName, timezoneData: null, altitude });
 					}
 					
 					// Actualizar toda la UI
-					this._updateLocationUI(simpleName, 'success', `${App.language.getTranslation('locationLabel')}: ${simpleName}`);
+					App.settings.updateUI();
+					this._updateLocationUI(simpleName, 'success', this._getSuccessText(simpleName));
 					this.applySavedLocationToMap();
 					App.ui.updateButtonsState();
 					App.time.updateClockPill();
@@ -4659,22 +5647,8 @@ elements.navBtnMenu.addEventListener('click', () => {
 			}
 		},
 		prediction: {
-			_isObserverInDarkness(time, coords, satrec = null) {
-				const sunTimes = SunCalc.getTimes(time, coords[0], coords[1]);
-				
-				let gracePeriodMinutes = App.config.predictionGracePeriodMinutes;
-				if (satrec) {
-					const noradId = parseInt(satrec.satnum, 10);
-					if (noradId === 25544 || noradId === 48274) { // ISS or Tiangong
-						gracePeriodMinutes = 30;
-					}
-				}
-				const gracePeriod = gracePeriodMinutes * 60000; 
-
-				const eveningLimit = new Date(sunTimes.sunset.getTime() + gracePeriod);
-				const morningLimit = new Date(sunTimes.sunrise.getTime() - gracePeriod);
-
-				return time > eveningLimit || time < morningLimit;
+			_isObserverInDarkness(time, coords) {
+				return passCalculator.isObserverInDarkness(time, coords, App.settings.getSunAltitudeLimit(), App.location.getObserverGd(coords).height);
 			},
 			handlePrediction() {
                 if (App.state.trackedSatellites.length === 0 || !App.state.observerCoords) return;
@@ -4693,86 +5667,61 @@ elements.navBtnMenu.addEventListener('click', () => {
                 }, 0);
             },
 			calculateVisiblePasses(sat, coords, options = {}) {
-				const { days = App.config.predictionFutureDays, direction = 'future', startDate = new Date() } = options;
-				const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: 0.1 }; 
-				
-                const baseDate = new Date(startDate);
-                if (direction === 'future') {
-                    baseDate.setHours(0, 0, 0, 0); 
-                }
-
-				const totalMinutes = days * 24 * 60; 
-                const finalPasses = []; 
-                let inPass = false, currentPass = null;
-				
-				for (let i = 0; i < totalMinutes; i += (1 / 60)) {
-					const timeOffset = (direction === 'future' ? i : -i) * 60000;
-					const time = new Date(baseDate.getTime() + timeOffset);
-
-					try {
-						const posVel = satellite.propagate(sat.satrec, new Date(time));
-						const gmst = satellite.gstime(new Date(time));
-						const posEcf = satellite.eciToEcf(posVel.position, gmst);
-						const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
-						const elevation = satellite.radiansToDegrees(lookAngles.elevation);
-						
-						if (elevation > 10 && !inPass) {
-							inPass = true;
-							currentPass = { 
-								start: time, 
-								end: null,
-								visibleStart: null,
-								visibleEnd: null,
-								maxElevation: 0,
-								points: [], 
-								hasVisibleSegment: false, 
-								isPast: direction === 'past' 
-							};
-						}
-
-						if (inPass) {
-							const isObserverInDarkness = this._isObserverInDarkness(time, coords, sat.satrec);
-							const isSatInSunlight = this.isSatIlluminated(posVel.position, time);
-							const isVisibleNow = isObserverInDarkness && isSatInSunlight;
-							
-							currentPass.points.push({ time, elevation, isVisible: isVisibleNow, az: lookAngles.azimuth });
-							
-							if (isVisibleNow) {
-								if (!currentPass.visibleStart) {
-									currentPass.visibleStart = time;
-								}
-								currentPass.visibleEnd = time;
-								currentPass.hasVisibleSegment = true;
-								
-								if (elevation > currentPass.maxElevation) {
-									currentPass.maxElevation = elevation;
-								}
-							}
-						}
-
-						if (elevation < 10 && inPass) {
-							inPass = false;
-							currentPass.end = time;
-
-							if (currentPass.hasVisibleSegment && currentPass.points.length > 1) {
-								if (currentPass.visibleStart && currentPass.visibleEnd) {
-									currentPass.start = currentPass.visibleStart;
-									currentPass.end = currentPass.visibleEnd;
-								}
-                                const firstVisiblePoint = currentPass.points.find(p => p.time.getTime() === currentPass.start.getTime());
-                                const allVisiblePoints = currentPass.points.filter(p => p.time.getTime() >= currentPass.start.getTime() && p.time.getTime() <= currentPass.end.getTime());
-                                const lastVisiblePoint = allVisiblePoints[allVisiblePoints.length - 1];
-                                
-                                if (firstVisiblePoint) currentPass.startAz = firstVisiblePoint.az;
-                                if (lastVisiblePoint) currentPass.endAz = lastVisiblePoint.az;
-								
-                                finalPasses.push(currentPass);
-							}
-							if (direction === 'future' && finalPasses.length >= App.config.maxPassesToCalculate) break;
-						}
-					} catch (e) { inPass = false; continue; }
-				}
-				return finalPasses;
+				// La búsqueda vive en pass-calculator.js para compartirla con pass-worker.js
+				return passCalculator.calculateVisiblePasses(sat, coords, {
+					days: App.config.predictionFutureDays,
+					sunAltitudeLimit: App.settings.getSunAltitudeLimit(),
+					observerHeight: App.location.getObserverGd(coords).height,
+					refraction: App.settings.getRefractionOptions(),
+					maxPasses: App.config.maxPassesToCalculate,
+					flareModel: this.getFlareModel(sat),
+					...App.settings.getPredictionOptions(),
+					...options
+				});
+			},
+			// Modelo de destellos de la clase del objeto (por prefijo del nombre o número NORAD), o null
+			getFlareModel(sat) {
+				const noradId = satcatManager._parseNoradFromTle(sat.tle);
+				const name = (sat.name || '').toUpperCase();
+				return Object.values(SATELLITES_CONFIG.flareModels).find(model =>
+					(model.noradIds && model.noradIds.includes(noradId)) || (model.namePrefix && name.startsWith(model.namePrefix))
+				) || null;
+			},
+			_flareCache: new WeakMap(),
+			/**
+			 * Destello más brillante entre los puntos visibles de una trayectoria del radar.
+			 * El radar redibuja seguido con la trayectoria apenas corrida, así que el resultado se guarda por
+			 * satélite y se recalcula solo cuando el tramo visible se mueve más de un paso de muestreo (5 s)
+			 * o cambian el observador o los ajustes.
+			 */
+			findFlare(sat, coords, path) {
+				const flareModel = this.getFlareModel(sat);
+				if (!flareModel || !sat.satrec || App.settings.getPredictionOptions().radio) return null;
+				const times = path.filter(p => p.isVisible).map(p => p.time.getTime());
+				if (times.length === 0) return null;
+				const refraction = App.settings.getRefractionOptions();
+				const start = times[0], end = times[times.length - 1];
+				const settingsKey = JSON.stringify([coords, App.state.observerAltitude, refraction]);
+
+				const cached = this._flareCache.get(sat.satrec);
+				if (cached && cached.settingsKey === settingsKey && Math.abs(cached.start - start) < 5000 && Math.abs(cached.end - end) < 5000) {
+					return cached.flare;
+				}
+
+				const flare = passCalculator.findFlare(sat.satrec, App.location.getObserverGd(coords), times, flareModel, refraction);
+				this._flareCache.set(sat.satrec, { start, end, settingsKey, flare });
+				return flare;
+			},
+			// Elevación aparente (en grados) según los ajustes de refracción
+			applyRefraction(elevation) {
+				return passCalculator.applyRefraction(elevation, App.settings.getRefractionOptions());
+			},
+			// Visible a simple vista, o en el modo radio simplemente por encima de la máscara de elevación
+			isSatVisible(time, coords, satEci, elevation) {
+				const { minElevation, radio } = App.settings.getPredictionOptions();
+				if (elevation <= minElevation) return false;
+				if (radio) return true;
+				return this._isObserverInDarkness(time, coords) && this.isSatIlluminated(satEci, time);
 			},
 			getCardinalDirection(azimuthDegrees) {
                 const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
@@ -4843,6 +5792,10 @@ elements.navBtnMenu.addEventListener('click', () => {
                             <div class="flex-grow">
                                 <span class="font-bold text-base block text-white">${pass.satName}</span>
                                 <span class="font-mono text-sm text-text-secondary">${App.time.formatCityTime(pass.start, timeOptions)} - ${App.time.formatCityTime(pass.end, timeOptions)}</span>
+                                ${this._getRadioTimesHtml(pass, timeOptions)}
+                                ${this._getShadowEntryHtml(pass, timeOptions)}
+                                ${this._getFlareHtml(pass, timeOptions)}
+                                ${this._getUncertaintyHtml(pass)}
                             </div>
                             <div class="flex items-center flex-shrink-0">
 								<div class="mr-4 text-center">
@@ -4952,24 +5905,29 @@ elements.navBtnMenu.addEventListener('click', () => {
                     return;
                 }
 
-                const cacheKey = `best_passes_cache_${source}_${App.state.observerCoords[0]}_${App.state.observerCoords[1]}`;
+                const cacheKey = this._getBestPassesCacheKey();
                 const cacheDuration = 24 * 60 * 60 * 1000; // 24 horas
 
                 try {
-                    const cachedData = JSON.parse(localStorage.getItem(cacheKey));
+                    const cachedData = await storageManager.get(cacheKey);
                     if (cachedData && (Date.now() - cachedData.timestamp < cacheDuration)) {
                         console.log("Mejores pasos cargados desde caché.");
                         const { passCalculation } = App.state;
 
-                        passCalculation.allFoundPasses = cachedData.passes.map(p => ({
+                        passCalculation.allFoundPasses = cachedData.data.passes.map(p => ({
                             ...p,
                             start: new Date(p.start),
-                            end: new Date(p.end)
+                            end: new Date(p.end),
+                            aos: p.aos && new Date(p.aos),
+                            tca: p.tca && new Date(p.tca),
+                            los: p.los && new Date(p.los),
+                            shadowEntry: p.shadowEntry && new Date(p.shadowEntry),
+                            flare: p.flare && { ...p.flare, time: new Date(p.flare.time) }
                         }));
 
                         // Restaurar el estado de la paginación para poder continuar la carga
-                        passCalculation.daysCalculated = cachedData.daysCalculated || 0;
-                        passCalculation.inProgress = cachedData.inProgress;
+                        passCalculation.daysCalculated = cachedData.data.daysCalculated || 0;
+                        passCalculation.inProgress = cachedData.data.inProgress;
                         passCalculation.firstPassFound = passCalculation.allFoundPasses.length > 0;
                         
                         // Esencial para que "Ver más" sepa qué satélites calcular
@@ -5016,24 +5974,108 @@ elements.navBtnMenu.addEventListener('click', () => {
 						satsToCalculate = App.mySatellites.loadFromStorage();
 					}
 
-					let previousPasses = [];
-					for (const sat of satsToCalculate) {
-						const parsed = App.satellites.parseTLE(sat.tle);
-						if (parsed.length > 0) {
-							const satrec = satellite.twoline2satrec(parsed[0].line1, parsed[0].line2);
-							const passes = this.calculateVisiblePasses({ name: sat.name, satrec }, App.state.observerCoords, { days: daysToCalculate, direction: 'past' });
-							const bestPasses = passes.filter(p => p.maxElevation > 50).map(p => ({ ...p, satName: sat.name, tle: sat.tle }));
-							previousPasses.push(...bestPasses);
+					const sats = this._toWorkerSats(satsToCalculate);
+					const { passCalculation } = App.state;
+					const controller = passCalculation.controller;
+
+					const finish = (previousPasses) => {
+						// Si mientras tanto arrancó otro cálculo, estos pases ya no corresponden a la lista
+						if (passCalculation.controller !== controller) {
+							App.ui.hideLoadingModal();
+							return;
 						}
+						passCalculation.allFoundPasses = [...previousPasses, ...passCalculation.allFoundPasses];
+						passCalculation.allFoundPasses.sort((a,b) => a.start - b.start);
+						App.state.previousBestPassesLoaded = true;
+
+						this.renderFilteredPasses();
+					};
+
+					const worker = this._createPassWorker();
+					if (!worker) {
+						finish(this._calculatePreviousPassesInline(sats, daysToCalculate));
+						return;
 					}
-					
-                    App.state.passCalculation.allFoundPasses = [...previousPasses, ...App.state.passCalculation.allFoundPasses];
-					App.state.passCalculation.allFoundPasses.sort((a,b) => a.start - b.start);
-					App.state.previousBestPassesLoaded = true;
-					
-					this.renderFilteredPasses();
+
+					const onAbort = () => {
+						worker.terminate();
+						App.ui.hideLoadingModal();
+					};
+					if (controller) controller.signal.addEventListener('abort', onAbort, { once: true });
+					const detach = () => {
+						if (controller) controller.signal.removeEventListener('abort', onAbort);
+						worker.terminate();
+					};
+
+					const previousPasses = [];
+					worker.onmessage = (event) => {
+						const message = event.data;
+						if (message.type === 'passes') {
+							previousPasses.push(...message.passes.filter(p => p.maxElevation > 50));
+						} else if (message.type === 'done') {
+							detach();
+							finish(previousPasses);
+						}
+					};
+					// Lo que haya llegado del worker se descarta y se recalcula todo en el hilo principal
+					worker.onerror = (error) => {
+						console.error("Error en el worker de pases, se calcula en el hilo principal:", error);
+						detach();
+						finish(this._calculatePreviousPassesInline(sats, daysToCalculate));
+					};
+
+					this._postPassJob(worker, sats, new Date(), daysToCalculate, { direction: 'past' });
 				}, 50);
 			},
+			// La caché depende también de los ajustes que cambian el resultado del cálculo
+			_getBestPassesCacheKey() {
+				const { minElevation, radio } = App.settings.getPredictionOptions();
+				const refraction = App.settings.getRefractionOptions();
+				const variant = [
+					radio ? 'radio' : 'visual',
+					minElevation,
+					App.settings.getSunAltitudeLimit(),
+					Math.round(App.state.observerAltitude),
+					refraction ? `${refraction.temperature}/${refraction.pressure}` : 'norefr'
+				].join('_');
+				return `best_passes_cache_${App.state.currentBestPassesSource}_${variant}_${App.state.observerCoords[0]}_${App.state.observerCoords[1]}`;
+			},
+			// Línea con AOS, TCA y LOS para las tarjetas de los pases de radio
+			_getRadioTimesHtml(pass, timeOptions) {
+				if (!pass.isRadio || !pass.tca) return '';
+				const format = (date) => App.time.formatCityTime(date, { ...timeOptions, second: '2-digit' });
+				return `<span class="font-mono text-xs text-text-secondary block">AOS ${format(pass.aos)} · TCA ${format(pass.tca)} · LOS ${format(pass.los)}</span>`;
+			},
+			// Línea con la hora en que el satélite entra en la sombra de la Tierra
+			_getShadowEntryHtml(pass, timeOptions) {
+				if (!pass.shadowEntry) return '';
+				const time = App.time.formatCityTime(pass.shadowEntry, { ...timeOptions, second: '2-digit' });
+				return `<span class="font-mono text-xs text-text-secondary block"><i class="fa-solid fa-moon mr-1"></i>${App.language.getTranslation('passEntersShadow')} ${time}</span>`;
+			},
+			// Línea con el destello previsto: hora, magnitud y posición en el cielo
+			_getFlareHtml(pass, timeOptions) {
+				if (!pass.flare) return '';
+				const { flare } = pass;
+				const time = App.time.formatCityTime(flare.time, { ...timeOptions, second: '2-digit' });
+				const azimuth = satellite.radiansToDegrees(flare.az);
+				return `<span class="font-mono text-xs text-warning block"><i class="fa-solid fa-star mr-1"></i>${App.language.getTranslation('passFlare')} ${time} · mag ${flare.magnitude.toFixed(1)} · ${this.getCardinalDirection(azimuth)} ${Math.round(azimuth)}° / ${Math.round(flare.elevation)}°</span>`;
+			},
+			// Línea con la incertidumbre en la hora del pase según la antigüedad y el arrastre del TLE
+			_getUncertaintyHtml(pass) {
+				const satrec = pass.tle ? App.satellites.getSatrecForTle(pass.tle) : null;
+				if (!satrec) return '';
+				const t = (key) => App.language.getTranslation(key);
+				const quality = App.satellites.getElementSetQuality(satrec, pass.tca || pass.start);
+				const styles = {
+					ok: { className: 'text-text-secondary', icon: 'fa-crosshairs' },
+					degraded: { className: 'text-warning', icon: 'fa-circle-exclamation' },
+					unreliable: { className: 'text-red-400', icon: 'fa-triangle-exclamation' }
+				};
+				const { className, icon } = styles[quality.level];
+				const title = t('passUncertaintyTitle').replace('{days}', quality.ageDays.toFixed(1));
+				const unreliable = quality.level === 'unreliable' ? ` · ${t('passUnreliable')}` : '';
+				return `<span class="font-mono text-xs ${className} block" title="${title}"><i class="fa-solid ${icon} mr-1"></i>${t('passUncertainty')} ${App.satellites.formatTimingUncertainty(quality.timingSeconds)}${unreliable}</span>`;
+			},
 			renderFilteredPasses() {
                 const { bestPassesList, viewMoreContainerBestPasses } = App.elements;
                 const now = new Date();
@@ -5091,6 +6133,10 @@ elements.navBtnMenu.addEventListener('click', () => {
                         <div class="flex-grow">
                             <span class="font-bold text-base block text-white">${pass.satName}</span>
                             <span class="font-mono text-sm text-text-secondary">${App.time.formatCityTime(pass.start, timeOptions)} - ${App.time.formatCityTime(pass.end, timeOptions)}</span>
+                            ${this._getRadioTimesHtml(pass, timeOptions)}
+                            ${this._getShadowEntryHtml(pass, timeOptions)}
+                            ${this._getFlareHtml(pass, timeOptions)}
+                            ${this._getUncertaintyHtml(pass)}
                         </div>
                         <div class="flex items-center flex-shrink-0">
                             <div class="mr-4 text-center">
@@ -5178,71 +6224,189 @@ elements.navBtnMenu.addEventListener('click', () => {
                     viewMoreBtn.disabled = true;
                     viewMoreBtn.textContent = App.language.getTranslation('calculating');
                 }
-            
-                // El cálculo se envuelve en un setTimeout para no bloquear la UI
-                setTimeout(async () => {
-                    if (passCalculation.controller.signal.aborted) {
+
+                const { signal } = passCalculation.controller;
+                if (signal.aborted) {
+                    if (viewMoreBtn) {
+                        viewMoreBtn.disabled = false;
+                        viewMoreBtn.textContent = App.language.getTranslation('viewMoreButton');
+                    }
+                    return;
+                }
+
+                const batchSize = passCalculation.daysPerBatch || App.config.passCalculationBatchSize;
+                const startDate = new Date(passCalculation.startDate);
+                startDate.setDate(startDate.getDate() + passCalculation.daysCalculated);
+
+                const sats = this._toWorkerSats(passCalculation.satsToCalculate);
+
+                const worker = this._createPassWorker();
+                if (!worker) {
+                    this._calculatePassBatchInline(sats, startDate, batchSize);
+                    return;
+                }
+                passCalculation.worker = worker;
+
+                // La cancelación usa el mismo AbortController de siempre: al abortar se termina el worker
+                const onAbort = () => {
+                    worker.terminate();
+                    if (passCalculation.worker === worker) passCalculation.worker = null;
+                    clearTimeout(passCalculation.renderTimeout);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+
+                // Pases que ya entraron de este lote, para descartarlos si el worker falla a mitad de camino
+                const streamedPasses = new Set();
+
+                worker.onmessage = (event) => {
+                    const message = event.data;
+                    if (signal.aborted) return;
+
+                    if (message.type === 'passes') {
+                        message.passes.forEach(pass => streamedPasses.add(pass));
+                        this._addFoundPasses(message.passes);
+                        this._schedulePassRender();
+                    } else if (message.type === 'progress') {
                         if (viewMoreBtn) {
-                            viewMoreBtn.disabled = false;
-                            viewMoreBtn.textContent = App.language.getTranslation('viewMoreButton');
+                            const percent = Math.round((message.completed / message.total) * 100);
+                            viewMoreBtn.textContent = `${App.language.getTranslation('calculating')} ${percent}%`;
                         }
-                        return;
+                    } else if (message.type === 'done') {
+                        signal.removeEventListener('abort', onAbort);
+                        worker.terminate();
+                        passCalculation.worker = null;
+                        this._finishPassBatch(batchSize);
                     }
+                };
 
-                    const batchSize = passCalculation.daysPerBatch || App.config.passCalculationBatchSize;
-                    const startDate = new Date(passCalculation.startDate);
-                    startDate.setDate(startDate.getDate() + passCalculation.daysCalculated);
-                
-                    const satrecs = passCalculation.satsToCalculate.map(sat => {
-                        const parsed = App.satellites.parseTLE(sat.tle);
-                        if (!parsed[0]) return null;
-                        return { name: sat.name, satrec: satellite.twoline2satrec(parsed[0].line1, parsed[0].line2), tle: sat.tle };
-                    }).filter(Boolean);
-                
-                    let passesInBatch = [];
+                worker.onerror = (error) => {
+                    console.error("Error en el worker de pases, se calcula en el hilo principal:", error);
+                    signal.removeEventListener('abort', onAbort);
+                    worker.terminate();
+                    passCalculation.worker = null;
+                    clearTimeout(passCalculation.renderTimeout);
+                    passCalculation.renderTimeout = null;
+                    passCalculation.allFoundPasses = passCalculation.allFoundPasses.filter(pass => !streamedPasses.has(pass));
+                    passCalculation.firstPassFound = passCalculation.allFoundPasses.length > 0;
+                    this._calculatePassBatchInline(sats, startDate, batchSize);
+                };
+
+                this._postPassJob(worker, sats, startDate, batchSize);
+            },
+
+            // El worker recibe las líneas del TLE ya separadas y arma sus propios satrec
+            _toWorkerSats(satList) {
+                return satList.map(sat => {
+                    const parsed = App.satellites.parseTLE(sat.tle);
+                    if (!parsed[0]) return null;
+                    return { name: sat.name, tle: sat.tle, line1: parsed[0].line1, line2: parsed[0].line2, omm: sat.omm || parsed[0].omm, flareModel: this.getFlareModel(sat) };
+                }).filter(Boolean);
+            },
+
+            // El worker carga satellite.js desde la misma URL que la página, así no hay dos versiones
+            getSatelliteLibraryUrl() {
+                return document.getElementById('satellite-js-lib').src;
+            },
+
+            _postPassJob(worker, sats, startDate, days, extraOptions = {}) {
+                worker.postMessage({
+                    type: 'start',
+                    jobId: Date.now(),
+                    libraryUrl: this.getSatelliteLibraryUrl(),
+                    sats,
+                    coords: App.state.observerCoords,
+                    startDate: startDate.getTime(),
+                    days,
+                    options: {
+                        sunAltitudeLimit: App.settings.getSunAltitudeLimit(),
+                        observerHeight: App.location.getObserverGd().height,
+                        refraction: App.settings.getRefractionOptions(),
+                        maxPasses: App.config.maxPassesToCalculate,
+                        ...App.settings.getPredictionOptions(),
+                        ...extraOptions
+                    }
+                });
+            },
+
+            _createPassWorker() {
+                if (typeof Worker === 'undefined') return null;
+                try {
+                    return new Worker('pass-worker.js');
+                } catch (e) {
+                    console.error("No se pudo crear el worker de pases:", e);
+                    return null;
+                }
+            },
+
+            // Respaldo para navegadores sin Web Workers: mismo cálculo, en el hilo principal
+            _calculatePassBatchInline(sats, startDate, batchSize) {
+                const { passCalculation } = App.state;
+                setTimeout(() => {
+                    if (passCalculation.controller.signal.aborted) return;
+
+                    const satrecs = sats.map(sat => ({ name: sat.name, tle: sat.tle, satrec: App.satellites.createSatrec(sat) }));
                     for (let i = 0; i < batchSize; i++) {
-                        if (passCalculation.controller.signal.aborted) break;
-                
                         const currentDate = new Date(startDate);
                         currentDate.setDate(currentDate.getDate() + i);
-                
                         for (const sat of satrecs) {
                             const passes = this.calculateVisiblePasses(sat, App.state.observerCoords, { days: 1, startDate: currentDate });
-                            const passesWithInfo = passes.map(p => ({ ...p, satName: sat.name, tle: sat.tle }));
-                            passesInBatch.push(...passesWithInfo);
+                            this._addFoundPasses(passes.map(p => ({ ...p, satName: sat.name, tle: sat.tle })));
                         }
                     }
+                    this._finishPassBatch(batchSize);
+                }, 50);
+            },
 
-                    if (passCalculation.controller.signal.aborted) {
-                        return;
-                    }
-                
-                    passCalculation.daysCalculated += batchSize;
-                    
-                    if (passesInBatch.length > 0) {
-                        if (!passCalculation.firstPassFound) {
-                            passCalculation.firstPassFound = true;
-                        }
-                        passesInBatch.sort((a, b) => a.start - b.start);
-                        passCalculation.allFoundPasses.push(...passesInBatch);
-                        passCalculation.allFoundPasses.sort((a, b) => a.start - b.start);
-                    }
-                
-                    if (passCalculation.daysCalculated >= App.config.passCalculationMaxDays) {
-                        passCalculation.inProgress = false;
-                    }
+            // Respaldo de los pases anteriores (solo los altos, de más de 50°) sin Web Workers
+            _calculatePreviousPassesInline(sats, days) {
+                const previousPasses = [];
+                for (const sat of sats) {
+                    const satrec = App.satellites.createSatrec(sat);
+                    const passes = this.calculateVisiblePasses({ name: sat.name, satrec }, App.state.observerCoords, { days, direction: 'past' });
+                    previousPasses.push(...passes.filter(p => p.maxElevation > 50).map(p => ({ ...p, satName: sat.name, tle: sat.tle })));
+                }
+                return previousPasses;
+            },
 
-                    // La función de renderizado se encarga de ocultar el modal principal la primera vez
-                    if (passCalculation.renderTarget === 'bestPasses') {
-                        this.renderFilteredPasses();
-                    } else {
-                        this.displayPasses(passCalculation.allFoundPasses, false);
-                    }
-                
-                    this.updateViewMoreButton();
-                
-                    // Se elimina la llamada recursiva automática para que el usuario controle la carga con el botón
-                }, 50); // Un pequeño delay para que la UI se actualice
+            _addFoundPasses(passes) {
+                const { passCalculation } = App.state;
+                if (passes.length === 0) return;
+                passCalculation.firstPassFound = true;
+                passCalculation.allFoundPasses.push(...passes);
+                passCalculation.allFoundPasses.sort((a, b) => a.start - b.start);
+            },
+
+            _renderPassResults() {
+                // La función de renderizado se encarga de ocultar el modal principal la primera vez
+                if (App.state.passCalculation.renderTarget === 'bestPasses') {
+                    this.renderFilteredPasses();
+                } else {
+                    this.displayPasses(App.state.passCalculation.allFoundPasses, false);
+                }
+            },
+
+            // Agrupa los pases que llegan del worker para no redibujar la lista con cada mensaje
+            _schedulePassRender() {
+                const { passCalculation } = App.state;
+                if (passCalculation.renderTimeout) return;
+                passCalculation.renderTimeout = setTimeout(() => {
+                    passCalculation.renderTimeout = null;
+                    this._renderPassResults();
+                }, 300);
+            },
+
+            _finishPassBatch(batchSize) {
+                const { passCalculation } = App.state;
+                clearTimeout(passCalculation.renderTimeout);
+                passCalculation.renderTimeout = null;
+
+                passCalculation.daysCalculated += batchSize;
+                if (passCalculation.daysCalculated >= App.config.passCalculationMaxDays) {
+                    passCalculation.inProgress = false;
+                }
+
+                this._renderPassResults();
+                this.updateViewMoreButton();
             },
             
             updateViewMoreButton() {
@@ -5268,20 +6432,12 @@ elements.navBtnMenu.addEventListener('click', () => {
                 // *** MODIFICACIÓN INICIA ***
                 // Se guarda en caché después de cada lote, no solo al final.
                 if (passCalculation.renderTarget === 'bestPasses' && passCalculation.allFoundPasses.length > 0) {
-                    const source = App.state.currentBestPassesSource;
-                    const cacheKey = `best_passes_cache_${source}_${App.state.observerCoords[0]}_${App.state.observerCoords[1]}`;
-                    try {
-                        const dataToCache = {
-                            timestamp: Date.now(),
-                            passes: passCalculation.allFoundPasses,
-                            daysCalculated: passCalculation.daysCalculated,
-                            inProgress: passCalculation.inProgress
-                        };
-                        localStorage.setItem(cacheKey, JSON.stringify(dataToCache));
-                        console.log("Mejores pasos guardados en caché.");
-                    } catch (e) {
-                        console.error("Error al guardar en caché los mejores pasos:", e);
-                    }
+                    const cacheKey = this._getBestPassesCacheKey();
+                    storageManager.set(cacheKey, {
+                        passes: passCalculation.allFoundPasses,
+                        daysCalculated: passCalculation.daysCalculated,
+                        inProgress: passCalculation.inProgress
+                    }).then(saved => { if (saved) console.log("Mejores pasos guardados en caché."); });
                 }
                 // *** MODIFICACIÓN TERMINA ***
             },
@@ -5348,27 +6504,15 @@ elements.navBtnMenu.addEventListener('click', () => {
 				document.body.removeChild(link);
 				URL.revokeObjectURL(url);
 			},
-			getSunEci(date) { 
-				const jday = satellite.jday(new Date(date));
-				const mjd = jday - 2400000.5;
-				const jd2000 = mjd - 51544.5; 
-				const MA = (357.5291 + 0.98560028 * jd2000) % 360;
-				const MArad = satellite.degreesToRadians(MA); 
-				const L = (280.459 + 0.98564736 * jd2000) % 360; 
-				const C = 1.915 * Math.sin(MArad) + 0.020 * Math.sin(2 * MArad); 
-				const lambda = satellite.degreesToRadians((L + C) % 360);
-				const epsilon = satellite.degreesToRadians(23.4393 - 3.563E-7 * jd2000); 
-				const R_AU = 1.00014 - 0.01671 * Math.cos(MArad) - 0.00014 * Math.cos(2 * MArad);
-				const R_km = R_AU * 149597870.7; 
-				return { x: R_km * Math.cos(lambda), y: R_km * Math.sin(lambda) * Math.cos(epsilon), z: R_km * Math.sin(lambda) * Math.sin(epsilon) }; 
-			},
-			isSatIlluminated(satEci, date) { const sunEci = this.getSunEci(date); const dotProduct = (satEci.x * sunEci.x) + (satEci.y * sunEci.y) + (satEci.z * sunEci.z); if (dotProduct > 0) return true; const satMagSq = (satEci.x ** 2) + (satEci.y ** 2) + (satEci.z ** 2), sunMagSq = (sunEci.x ** 2) + (sunEci.y ** 2) + (sunEci.z ** 2); return (satMagSq - (dotProduct ** 2 / sunMagSq)) > (6378.137 ** 2); },
+			getSunEci(date) { return passCalculator.getSunEci(date); },
+			isSatIlluminated(satEci, date) { return passCalculator.isSatIlluminated(satEci, date); },
+			getIlluminationFraction(satEci, date) { return passCalculator.getIlluminationFraction(satEci, date); },
 			
 			calculateSkyPath(sat, referenceTime, coords) {
 				const skyPath = [];
 				if (!sat || !sat.satrec || !coords) return skyPath;
 
-				const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: 0.1 };
+				const observerGd = App.location.getObserverGd(coords);
 				const loopStart = new Date(referenceTime.getTime() - (30) * 60000);
 
 				for (let i = 0; i < (120 * 60) / 5; i++) {
@@ -5378,12 +6522,10 @@ elements.navBtnMenu.addEventListener('click', () => {
 						const gmst = satellite.gstime(new Date(time));
 						const posEcf = satellite.eciToEcf(posVel.position, gmst);
 						const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
-						const elevation = satellite.radiansToDegrees(lookAngles.elevation);
+						const elevation = this.applyRefraction(satellite.radiansToDegrees(lookAngles.elevation));
 
 						if (elevation > 0) {
-							const isObserverDark = this._isObserverInDarkness(time, coords);
-							const isSatInSunlight = this.isSatIlluminated(posVel.position, time);
-							const isVisibleNow = isObserverDark && isSatInSunlight && elevation > 10;
+							const isVisibleNow = this.isSatVisible(time, coords, posVel.position, elevation);
 							
 							skyPath.push({
 								az: satellite.radiansToDegrees(lookAngles.azimuth),
@@ -5423,7 +6565,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				const oldTimeLabelLayers = sat.timeLabelLayers;
 				sat.timeLabelLayers = [];
 
-				const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: 0.1 };
+				const observerGd = App.location.getObserverGd(coords);
 				const masterPath = [], loopStart = new Date(referenceTime.getTime() - (30) * 60000);
 				let lastLabeledMinute = -1;
 				let lastLon = null;
@@ -5439,7 +6581,6 @@ elements.navBtnMenu.addEventListener('click', () => {
 						if (elevation < 0) continue;
 						
 						const posGd = satellite.eciToGeodetic(posVel.position, gmst);
-						const isObserverDark = this._isObserverInDarkness(time, coords, sat.satrec);
 						const lat = satellite.radiansToDegrees(posGd.latitude);
 						let lon = satellite.radiansToDegrees(posGd.longitude);
 
@@ -5449,7 +6590,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						}
 						lastLon = lon;
 
-						masterPath.push({ lat, lon, isVisible: isObserverDark && this.isSatIlluminated(posVel.position, time) && elevation > 10 });
+						masterPath.push({ time: time.getTime(), lat, lon, height: posGd.height, elevation, isVisible: this.isSatVisible(time, coords, posVel.position, elevation) });
 						
 						const localTimeForLabel = parseInt(App.time.formatCityTime(time, { minute: '2-digit'}), 10);
 						
@@ -5473,6 +6614,8 @@ elements.navBtnMenu.addEventListener('click', () => {
 					} catch (e) { continue; }
 				}
 				if (masterPath.length < 2) return [];
+				sat.passTrack = masterPath;
+				sat.drawnTrack = null;
 				
 				const segments = [];
 				let currentSegment = { path: [], isVisible: masterPath[0].isVisible };
@@ -5658,6 +6801,11 @@ elements.navBtnMenu.addEventListener('click', () => {
 				trajectories.forEach(trajectory => {
 					if (trajectory.length < 2) return;
 					
+					// Para exportar: el borde de cada banda, sin las copias del mundo
+					[['periferica', 10], ['media', 30], ['optima', 60]].forEach(([level, minElevation]) => {
+						App.state.visibilityBands.areas.push({ level, minElevation, ring: createBandRing(trajectory, distances[level]) });
+					});
+
 					offsets.forEach(offset => {
 						const offsetTrajectory = trajectory.map(p => [p[0], p[1] + offset]);
 
@@ -5748,6 +6896,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 				visibilityBands.layers = [];
 				visibilityBands.trajectory = [];
+				visibilityBands.areas = [];
 				App.radar.clearTrajectory();
 
 				App.elements.toggleVisibilityBandsBtn.classList.add('hidden');
@@ -6022,6 +7171,227 @@ elements.navBtnMenu.addEventListener('click', () => {
 				App.elements.timelineSlider.value = parseInt(hours, 10) * 60 + parseInt(minutes, 10);
 			}
 		},
+		transits: {
+			open() {
+				if (App.state.trackedSatellites.length === 0 || !App.state.observerCoords) return;
+				App.playSound('uiClick', 'D4');
+				this.updateRadiusUI();
+				App.ui.showModal(App.elements.transitsModal);
+				this.search();
+			},
+			setRadius(km) {
+				App.playSound('uiClick', 'D4');
+				App.state.transitSearchRadiusKm = km;
+				this.updateRadiusUI();
+				this.search();
+			},
+			updateRadiusUI() {
+				App.elements.transitsRadius.querySelectorAll('.segmented-control-btn').forEach(btn => {
+					btn.classList.toggle('active', parseInt(btn.dataset.value, 10) === App.state.transitSearchRadiusKm);
+				});
+			},
+			_worker: null,
+			_searchId: 0,
+			/**
+			 * Busca tránsitos de todos los satélites seguidos. El cálculo corre en el worker de pases;
+			 * sin Web Workers se hace en el hilo principal de a un satélite por vez, cediendo entre uno y otro.
+			 * Una búsqueda nueva (por ejemplo, al cambiar el radio) descarta la anterior.
+			 */
+			search() {
+				const coords = App.state.observerCoords;
+				this.clearMap();
+				this._stopSearch();
+				const searchId = ++this._searchId;
+				App.ui.showLoadingModal('calculating');
+
+				const trackedSats = App.state.trackedSatellites.filter(sat => sat.satrec);
+				const options = {
+					days: App.config.transitSearchDays,
+					startDate: App.state.currentTime.getTime(),
+					maxDistanceKm: App.state.transitSearchRadiusKm,
+					observerHeight: App.location.getObserverGd(coords).height
+				};
+				const finish = (transits) => {
+					if (searchId !== this._searchId) return;
+					App.state.transitResults = transits.sort((a, b) => a.time - b.time);
+					this.render();
+					App.ui.hideLoadingModal();
+				};
+
+				const worker = App.prediction._createPassWorker();
+				if (!worker) {
+					this._searchInline(trackedSats, coords, options, searchId, finish);
+					return;
+				}
+				this._worker = worker;
+
+				const found = [];
+				worker.onmessage = (event) => {
+					const message = event.data;
+					if (message.type === 'transits') {
+						found.push(...message.transits);
+					} else if (message.type === 'done') {
+						this._stopSearch();
+						finish(found);
+					}
+				};
+				// Lo que haya llegado se descarta y la búsqueda se repite en el hilo principal
+				worker.onerror = (error) => {
+					console.error("Error en el worker de tránsitos, se calcula en el hilo principal:", error);
+					this._stopSearch();
+					this._searchInline(trackedSats, coords, options, searchId, finish);
+				};
+				worker.postMessage({
+					type: 'transits',
+					jobId: searchId,
+					libraryUrl: App.prediction.getSatelliteLibraryUrl(),
+					sats: App.prediction._toWorkerSats(trackedSats),
+					coords,
+					options
+				});
+			},
+			_searchInline(sats, coords, options, searchId, finish) {
+				const found = [];
+				const searchNext = (index) => {
+					if (searchId !== this._searchId) return;
+					if (index >= sats.length) {
+						finish(found);
+						return;
+					}
+					try {
+						found.push(...transitFinder.findTransits(sats[index], coords, { ...options, startDate: new Date(options.startDate) }));
+					} catch (e) {
+						console.error("Error buscando tránsitos:", e);
+					}
+					setTimeout(() => searchNext(index + 1), 0);
+				};
+				setTimeout(() => searchNext(0), 50);
+			},
+			_stopSearch() {
+				if (this._worker) {
+					this._worker.terminate();
+					this._worker = null;
+				}
+			},
+			render() {
+				const container = App.elements.transitsResultsContainer;
+				const transits = App.state.transitResults;
+				if (transits.length === 0) {
+					container.innerHTML = `
+                        <div class="flex items-center justify-center h-full">
+                            <p class="text-text-secondary text-center p-8 border-2 border-dashed border-gray-700 rounded-lg">${App.language.getTranslation('noTransitsFound')}</p>
+                        </div>`;
+					return;
+				}
+
+				const dateOptions = { month: 'long', day: 'numeric' };
+				const timeOptions = { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+				const arcmin = (degrees) => `${(degrees * 60).toFixed(1)}′`;
+				container.innerHTML = transits.map((transit, index) => {
+					const bodyLabel = App.language.getTranslation(transit.body === 'sun' ? 'transitSun' : 'transitMoon');
+					// Si el satélite cruza el disco desde la ubicación del observador se muestra su duración; si no, la de la línea central
+					const durationText = transit.duration > 0
+						? `${App.language.getTranslation('transitDurationHere')}: ${transit.duration.toFixed(1)} s`
+						: `${App.language.getTranslation('transitDurationCentre')}: ${transit.centreDuration.toFixed(1)} s`;
+					return `
+                        <div class="pass-card list-item-animation" style="animation-delay: ${index * 30}ms">
+                            <div class="flex-grow">
+                                <span class="font-bold text-base block text-white"><i class="fa-solid ${transit.body === 'sun' ? 'fa-sun text-warning' : 'fa-moon'} mr-2"></i>${transit.satName} · ${bodyLabel}</span>
+                                <span class="font-mono text-sm text-text-secondary block">${App.time.formatCityTime(transit.time, dateOptions)} ${App.time.formatCityTime(transit.time, timeOptions)}</span>
+                                <span class="font-mono text-xs text-text-secondary block">${durationText}</span>
+                                <span class="font-mono text-xs text-text-secondary block">${App.language.getTranslation('transitSeparation')}: ${arcmin(transit.separation)} (${App.language.getTranslation('transitDiscRadius')} ${arcmin(transit.bodyRadius)})</span>
+                                <span class="font-mono text-xs text-text-secondary block">${App.language.getTranslation('transitCentreDistance')}: ${transit.centreDistance.toFixed(1)} km · ${App.prediction.getCardinalDirection(transit.bodyAzimuth)} ${Math.round(transit.bodyElevation)}°</span>
+                            </div>
+                            <button class="transit-map-btn notification-btn flex-shrink-0" data-index="${index}" title="${App.language.getTranslation('transitShowOnMap')}" aria-label="${App.language.getTranslation('transitShowOnMap')}">
+                                <i class="fa-solid fa-map-location-dot text-lg"></i>
+                            </button>
+                        </div>`;
+				}).join('');
+			},
+			// Dibuja la franja desde la que se ve el tránsito y su línea central, y centra el mapa en ellas
+			showOnMap(transit) {
+				const { map, observerCoords } = App.state;
+				if (!transit || !map) return;
+				App.playSound('uiClick', 'D4');
+				this.clearMap();
+				App.state.transitLayer = L.layerGroup().addTo(map);
+
+				const offsets = [0, 360, -360, 720, -720];
+				const shift = (points, offset) => points.map(([lat, lon]) => [lat, lon + offset]);
+				offsets.forEach(offset => {
+					if (transit.groundPath.length > 2) {
+						L.polygon(shift(transit.groundPath, offset), { className: 'transit-ground-path', pane: 'trajectoryPane' }).addTo(App.state.transitLayer);
+					}
+					L.polyline(shift(transit.centreLine, offset), { className: 'transit-centre-line', pane: 'trajectoryPane' }).addTo(App.state.transitLayer);
+					L.circleMarker([transit.nearestPoint[0], transit.nearestPoint[1] + offset], { radius: 5, className: 'transit-nearest-point', pane: 'trajectoryPane' }).addTo(App.state.transitLayer);
+				});
+
+				App.ui.hideModal(App.elements.transitsModal);
+				map.fitBounds(L.latLngBounds([...transit.centreLine, observerCoords]), { padding: [40, 40] });
+			},
+			clearMap() {
+				if (App.state.transitLayer) {
+					App.state.transitLayer.remove();
+					App.state.transitLayer = null;
+				}
+			}
+		},
+		// Descarga de lo dibujado en el mapa (trazas, paso y bandas) en GeoJSON, KML o GPX
+		trackExport: {
+			FORMATS: {
+				geojson: { extension: 'geojson', mimeType: 'application/geo+json', build: (data) => trackExporter.toGeoJson(data) },
+				kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: (data) => trackExporter.toKml(data) },
+				gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', build: (data) => trackExporter.toGpx(data) }
+			},
+			open() {
+				if (!this.collect()) {
+					App.playSound('error', 'C3');
+					App.ui.showToast(App.language.getTranslation('exportNothingToast'), 'error');
+					return;
+				}
+				App.playSound('uiClick', 'D4');
+				App.ui.showModal(App.elements.exportModal);
+			},
+			// Junta la trayectoria del paso (si se está viendo uno) o las trazas de los satélites seguidos
+			collect() {
+				const { trackedSatellites, visibilityBands } = App.state;
+				const tracks = [];
+				trackedSatellites.forEach(sat => {
+					if (sat.passTrack) {
+						tracks.push({ name: App.language.getTranslation('exportPassTrack').replace('{name}', sat.name), kind: 'pass', points: sat.passTrack });
+					} else if (sat.drawnTrack) {
+						tracks.push({ name: App.language.getTranslation('exportGroundTrack').replace('{name}', sat.name), kind: 'groundTrack', points: sat.drawnTrack });
+					}
+				});
+				if (tracks.length === 0) return null;
+				const areas = visibilityBands.areas.map(area => ({
+					name: App.language.getTranslation('exportVisibilityBand').replace('{elevation}', area.minElevation),
+					minElevation: area.minElevation,
+					ring: area.ring
+				}));
+				const name = trackedSatellites.length === 1 ? trackedSatellites[0].name : App.elements.satelliteNameDisplay.textContent;
+				return { name, tracks, areas };
+			},
+			download(format) {
+				const data = this.collect();
+				const options = this.FORMATS[format];
+				if (!data || !options) return;
+				App.playSound('success', 'C5');
+
+				const blob = new Blob([options.build(data)], { type: `${options.mimeType};charset=utf-8` });
+				const url = URL.createObjectURL(blob);
+				const link = document.createElement('a');
+				link.href = url;
+				const fileName = App.language.getTranslation('exportFilename').replace('{name}', data.name.replace(/[\s/\\:]+/g, '_'));
+				link.setAttribute('download', `${fileName}.${options.extension}`);
+				document.body.appendChild(link);
+				link.click();
+				document.body.removeChild(link);
+				// Algunos navegadores empiezan la descarga después del click: la URL se libera un rato más tarde
+				setTimeout(() => URL.revokeObjectURL(url), 1000);
+				history.back();
+			}
+		},
 		radar: {
 			activeCanvas: null, activeCtx: null, activePointer: null,
 			isSensorActive: false, isInitialized: false, 
@@ -6337,14 +7707,14 @@ elements.navBtnMenu.addEventListener('click', () => {
 			calculateCurrentLookAngles(sat, time, coords) {
 				if (!sat.satrec || !coords) return null;
 				try {
-					const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: 0.1 };
+					const observerGd = App.location.getObserverGd(coords);
 					const posVel = satellite.propagate(sat.satrec, new Date(time));
 					const gmst = satellite.gstime(new Date(time));
 					const posEcf = satellite.eciToEcf(posVel.position, gmst);
 					const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
 					return {
 						az: satellite.radiansToDegrees(lookAngles.azimuth),
-						el: satellite.radiansToDegrees(lookAngles.elevation),
+						el: App.prediction.applyRefraction(satellite.radiansToDegrees(lookAngles.elevation)),
 						posVel: posVel,
 						gmst: gmst
 					};
@@ -6439,6 +7809,27 @@ elements.navBtnMenu.addEventListener('click', () => {
 							for (let i = 1; i < projectedPoints.length; i++) { this.activeCtx.lineTo(projectedPoints[i].x, projectedPoints[i].y); }
 							this.activeCtx.stroke();
 						});
+
+						// Destello previsto sobre la trayectoria visible
+						const flare = App.prediction.findFlare(sat, coords, path);
+						if (flare) {
+							const flareDist = radius * ((90 - flare.elevation) / 90);
+							const flareAngle = satellite.degreesToRadians(satellite.radiansToDegrees(flare.az) - 90);
+							const flareX = center.x + flareDist * Math.cos(flareAngle);
+							const flareY = center.y - flareDist * Math.sin(flareAngle);
+							const flareFontSize = (this.activeCanvas.id === 'large-radar-canvas') ? 13 : 11;
+							this.activeCtx.save(); this.activeCtx.translate(flareX, flareY); this.activeCtx.rotate(-satellite.degreesToRadians(this.displayHeading - 180));
+							this.activeCtx.setLineDash([]); this.activeCtx.shadowColor = warningColor; this.activeCtx.shadowBlur = 8;
+							this.activeCtx.fillStyle = warningColor;
+							this.activeCtx.textAlign = 'center'; this.activeCtx.textBaseline = 'middle';
+							this.activeCtx.font = `bold ${flareFontSize + 4}px "Space Grotesk"`;
+							this.activeCtx.fillText('✦', 0, 0);
+							this.activeCtx.shadowBlur = 0;
+							this.activeCtx.font = `bold ${flareFontSize}px "Space Grotesk"`;
+							this.activeCtx.textAlign = 'left';
+							this.activeCtx.fillText(`${flare.magnitude.toFixed(1)}`, flareFontSize, 0);
+							this.activeCtx.restore();
+						}
 					});
 			
 					this.activeCtx.setLineDash([]); 
@@ -6450,9 +7841,7 @@ elements.navBtnMenu.addEventListener('click', () => {
 						if (lookAnglesAndPos && lookAnglesAndPos.el >= 0) {
 							
 							const { posVel, gmst, el, az } = lookAnglesAndPos;
-							const isObserverDark = App.prediction._isObserverInDarkness(App.state.currentTime, coords);
-							const isSatInSunlight = App.prediction.isSatIlluminated(posVel.position, App.state.currentTime);
-							const isVisible = isObserverDark && isSatInSunlight && el > 10;
+							const isVisible = App.prediction.isSatVisible(App.state.currentTime, coords, posVel.position, el);
 
 							const distFromCenter = radius * ((90 - el) / 90);
 							const angleRad = satellite.degreesToRadians(az - 90);
@@ -6491,12 +7880,12 @@ elements.navBtnMenu.addEventListener('click', () => {
 						}
 					});
 				
-					const moonPosition = SunCalc.getMoonPosition(App.state.currentTime, coords[0], coords[1]);
-					const moonEl = satellite.radiansToDegrees(moonPosition.altitude);
+					const moonPosition = ephemeris.getMoonLookAngles(App.state.currentTime, App.location.getObserverGd(coords));
+					const moonEl = App.prediction.applyRefraction(moonPosition.elevation);
                     const moonIconEl = this.activeCanvas.id === 'large-radar-canvas' ? App.elements.largeRadarMoonIcon : App.elements.radarMoonIcon;
 					
 					if (moonEl >= 0 && moonIconEl) {
-						const moonAz = (satellite.radiansToDegrees(moonPosition.azimuth) + 180) % 360;
+						const moonAz = moonPosition.azimuth;
 						const distFromCenter = radius * ((90 - moonEl) / 90);
 						const angleRad = satellite.degreesToRadians(moonAz - 90);
 						const unrotatedX = center.x + distFromCenter * Math.cos(angleRad);
@@ -6642,8 +8031,21 @@ elements.navBtnMenu.addEventListener('click', () => {
 				language: 'es',
 				defaultMapLayer: 'dark',
 				defaultNightOverlay: false, // Nuevo ajuste por defecto
-				showNightOverlay: false     // Estado actual, no un ajuste guardable
-			},
+				showNightOverlay: false,    // Estado actual, no un ajuste guardable
+				predictionProfile: 'visual', // 'visual' (a simple vista) o 'radio' (AOS/LOS sin requisito de visibilidad)
+				elevationMasks: { visual: 10, radio: 0 }, // Elevación mínima en grados para cada perfil
+				darknessThreshold: 'civil', // 'civil' (−6°), 'nautical' (−12°) o 'custom'
+				customSunAltitude: -9,      // Altura del Sol en grados para el umbral personalizado
+				refraction: false,          // Corrección por refracción atmosférica de las elevaciones
+				refractionTemperature: 10,  // °C
+				refractionPressure: 1010,   // hPa
+				showFootprints: false,      // Huellas de cobertura de los satélites en el mapa
+				footprintMinElevation: 0,   // Elevación en grados del borde de la huella
+				orbitPastRevolutions: 0,    // Vueltas de la traza antes de la hora actual
+				orbitFutureRevolutions: 1,  // Vueltas de la traza después de la hora actual
+				orbitLabelIntervalMinutes: 0 // Cada cuántos minutos se marca la hora sobre la traza (0: sin marcas)
+			},
+			sunAltitudeLimits: { civil: -6, nautical: -12 },
 			init() {
 				this.load();
 			},
@@ -6662,6 +8064,7 @@ elements.navBtnMenu.addEventListener('click', () => {
                         }
                     } else {
                         this.current = { ...this.defaults, ...savedSettings };
+                        this.current.elevationMasks = { ...this.defaults.elevationMasks, ...savedSettings.elevationMasks };
                     }
                     
                     // El estado actual de la capa se establece basado en el ajuste por defecto
@@ -6706,6 +8109,87 @@ elements.navBtnMenu.addEventListener('click', () => {
 				this.save();
 				App.nightOverlay.update();
 			},
+			setShowFootprints(show) {
+				if (show === this.current.showFootprints) return;
+				App.playSound('uiClick', 'D4');
+				this.current.showFootprints = show;
+				this.save();
+				App.footprints.update();
+			},
+			setFootprintMinElevation(degrees) {
+				if (degrees === this.current.footprintMinElevation) return;
+				App.playSound('uiClick', 'D4');
+				this.current.footprintMinElevation = degrees;
+				this.save();
+				this.updateUI();
+				App.footprints.update();
+			},
+			// `key` es orbitPastRevolutions, orbitFutureRevolutions u orbitLabelIntervalMinutes
+			setOrbitOption(key, value) {
+				if (value === this.current[key]) return;
+				App.playSound('uiClick', 'D4');
+				this.current[key] = value;
+				this.save();
+				this.updateUI();
+				if (App.state.mapInitialized && !App.state.isAllSatellitesMode && !App.state.isPassViewActive) App.satellites.drawOrbits();
+			},
+			setPredictionProfile(profile) {
+				if (profile === this.current.predictionProfile) return;
+				App.playSound('uiClick', 'D4');
+				this.current.predictionProfile = profile;
+				this.save();
+				this.updateUI();
+			},
+			setMinElevation(degrees) {
+				const profile = this.current.predictionProfile;
+				if (degrees === this.current.elevationMasks[profile]) return;
+				App.playSound('uiClick', 'D4');
+				this.current.elevationMasks = { ...this.current.elevationMasks, [profile]: degrees };
+				this.save();
+				this.updateUI();
+			},
+			setDarknessThreshold(threshold) {
+				if (threshold === this.current.darknessThreshold) return;
+				App.playSound('uiClick', 'D4');
+				this.current.darknessThreshold = threshold;
+				this.save();
+				this.updateUI();
+			},
+			setCustomSunAltitude(degrees) {
+				if (isNaN(degrees)) return;
+				this.current.customSunAltitude = Math.max(-18, Math.min(0, degrees));
+				this.save();
+				this.updateUI();
+			},
+			setRefraction(enabled) {
+				if (enabled === this.current.refraction) return;
+				App.playSound('uiClick', 'D4');
+				this.current.refraction = enabled;
+				this.save();
+				this.updateUI();
+			},
+			setRefractionConditions(temperature, pressure) {
+				if (isNaN(temperature) || isNaN(pressure)) return;
+				this.current.refractionTemperature = Math.max(-40, Math.min(50, temperature));
+				this.current.refractionPressure = Math.max(500, Math.min(1100, pressure));
+				this.save();
+				this.updateUI();
+			},
+			// Condiciones atmosféricas para passCalculator.applyRefraction, o null si está desactivada
+			getRefractionOptions() {
+				if (!this.current.refraction) return null;
+				return { temperature: this.current.refractionTemperature, pressure: this.current.refractionPressure };
+			},
+			// Altura del Sol (grados) bajo la cual se considera que el observador está a oscuras
+			getSunAltitudeLimit() {
+				if (this.current.darknessThreshold === 'custom') return this.current.customSunAltitude;
+				return this.sunAltitudeLimits[this.current.darknessThreshold] ?? this.sunAltitudeLimits.civil;
+			},
+			// Opciones de cálculo de pases para el perfil indicado (por defecto, el activo)
+			getPredictionOptions(profile = this.current.predictionProfile) {
+				const minElevation = this.current.elevationMasks?.[profile] ?? this.defaults.elevationMasks[profile];
+				return { minElevation, radio: profile === 'radio' };
+			},
 			setLanguage(lang) {
 				if (lang === this.current.language) return;
 				App.playSound('uiClick', 'D4');
@@ -6724,12 +8208,29 @@ elements.navBtnMenu.addEventListener('click', () => {
 				}
 			},
 			updateUI() {
-				const { settingMapDark, settingMapSatellite, settingDayNightOn, settingDayNightOff, currentLanguageDisplay, languageDropdownMenu, toggleNightOverlayBtn } = App.elements;
+				const { settingMapDark, settingMapSatellite, settingDayNightOn, settingDayNightOff, settingProfileVisual, settingProfileRadio, settingMinElevation, settingDarknessThreshold, settingCustomSunAltitude, settingObserverAltitude, settingRefractionOn, settingRefractionOff, settingRefractionConditions, settingRefractionTemperature, settingRefractionPressure, currentLanguageDisplay, languageDropdownMenu, toggleNightOverlayBtn, toggleFootprintsBtn, settingFootprintElevation, settingOrbitPast, settingOrbitFuture, settingOrbitLabels } = App.elements;
 				
 				if (toggleNightOverlayBtn) {
 					toggleNightOverlayBtn.checked = this.current.showNightOverlay;
 				}
 
+				if (toggleFootprintsBtn) {
+					toggleFootprintsBtn.checked = this.current.showFootprints;
+				}
+
+				if (settingFootprintElevation) {
+					settingFootprintElevation.querySelectorAll('.segmented-control-btn').forEach(btn => {
+						btn.classList.toggle('active', parseInt(btn.dataset.value, 10) === this.current.footprintMinElevation);
+					});
+				}
+
+				[[settingOrbitPast, 'orbitPastRevolutions'], [settingOrbitFuture, 'orbitFutureRevolutions'], [settingOrbitLabels, 'orbitLabelIntervalMinutes']].forEach(([control, key]) => {
+					if (!control) return;
+					control.querySelectorAll('.segmented-control-btn').forEach(btn => {
+						btn.classList.toggle('active', parseInt(btn.dataset.value, 10) === this.current[key]);
+					});
+				});
+
 				if (settingMapDark && settingMapSatellite) {
 					settingMapDark.classList.toggle('active', this.current.defaultMapLayer === 'dark');
 					settingMapSatellite.classList.toggle('active', this.current.defaultMapLayer === 'satellite');
@@ -6739,6 +8240,40 @@ elements.navBtnMenu.addEventListener('click', () => {
 					settingDayNightOn.classList.toggle('active', this.current.defaultNightOverlay === true);
 					settingDayNightOff.classList.toggle('active', this.current.defaultNightOverlay === false);
 				}
+
+				if (settingProfileVisual && settingProfileRadio) {
+					settingProfileVisual.classList.toggle('active', this.current.predictionProfile === 'visual');
+					settingProfileRadio.classList.toggle('active', this.current.predictionProfile === 'radio');
+				}
+
+				if (settingMinElevation) {
+					const { minElevation } = this.getPredictionOptions();
+					settingMinElevation.querySelectorAll('.segmented-control-btn').forEach(btn => {
+						btn.classList.toggle('active', parseInt(btn.dataset.value, 10) === minElevation);
+					});
+				}
+
+				if (settingDarknessThreshold && settingCustomSunAltitude) {
+					settingDarknessThreshold.querySelectorAll('.segmented-control-btn').forEach(btn => {
+						btn.classList.toggle('active', btn.dataset.value === this.current.darknessThreshold);
+					});
+					settingCustomSunAltitude.classList.toggle('hidden', this.current.darknessThreshold !== 'custom');
+					settingCustomSunAltitude.value = this.current.customSunAltitude;
+				}
+
+				if (settingRefractionOn && settingRefractionOff) {
+					settingRefractionOn.classList.toggle('active', this.current.refraction === true);
+					settingRefractionOff.classList.toggle('active', this.current.refraction === false);
+					settingRefractionConditions.classList.toggle('hidden', !this.current.refraction);
+					settingRefractionTemperature.value = this.current.refractionTemperature;
+					settingRefractionPressure.value = this.current.refractionPressure;
+				}
+
+				if (settingObserverAltitude) {
+					// La altitud es parte de la ubicación guardada, no de los ajustes
+					settingObserverAltitude.value = Math.round(App.state.observerAltitude || 0);
+					settingObserverAltitude.disabled = !App.state.observerCoords;
+				}
 				
 				if (currentLanguageDisplay && languageDropdownMenu) {
 					const langMap = { es: 'Español', en: 'English' };
@@ -6748,6 +8283,51 @@ elements.navBtnMenu.addEventListener('click', () => {
 						item.classList.toggle('active', item.dataset.lang === this.current.language);
 					});
 				}
+
+				this.updateStorageUsage();
+				this.renderSourcesStatus();
+			},
+			// Espacio que ocupan los cachés según el navegador
+			async updateStorageUsage() {
+				const { settingStorageUsage } = App.elements;
+				if (!settingStorageUsage) return;
+				const usage = await storageManager.getUsage();
+				const formatBytes = (bytes) => bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+				settingStorageUsage.textContent = usage
+					? App.language.getTranslation('settingsStorageUsage').replace('{used}', formatBytes(usage.usage)).replace('{quota}', formatBytes(usage.quota))
+					: '--';
+			},
+			// Qué fuente sirvió cada conjunto de datos la última vez y cómo viene respondiendo cada una
+			renderSourcesStatus() {
+				const { settingSourcesList } = App.elements;
+				if (!settingSourcesList) return;
+				const t = (key) => App.language.getTranslation(key);
+				const timeOptions = { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' };
+				const { served } = sourceRegistry.getHealth();
+
+				settingSourcesList.innerHTML = Object.entries(sourceRegistry.DATASETS).map(([dataset, { labelKey, sources }]) => {
+					const lastServed = served[dataset];
+					const servedText = lastServed
+						? t('sourceServedBy').replace('{source}', lastServed.sourceId).replace('{time}', App.time.formatCityTime(new Date(lastServed.time), timeOptions))
+						: t('sourceNeverServed');
+					const sourcesHtml = sources.map(source => {
+						const health = sourceRegistry.getSourceHealth(dataset, source.id);
+						const failing = health.consecutiveFailures > 0;
+						const title = failing ? `${t('sourceFailing')}: ${health.lastError || ''}` : t('sourceHealthy');
+						return `<span class="inline-flex items-center gap-1 mr-3" title="${title.replace(/"/g, '&quot;')}">
+							<i class="fa-solid fa-circle text-[0.5rem] ${failing ? 'text-red-400' : (health.lastSuccess ? 'text-green-400' : 'text-text-secondary')}"></i>${source.id}
+						</span>`;
+					}).join('');
+					return `<div class="setting-item">
+						<div class="setting-item-label">
+							<span>${t(labelKey)}</span>
+							<div class="text-xs text-text-secondary mt-1">${sourcesHtml}</div>
+						</div>
+						<div class="setting-item-control">
+							<span class="text-sm text-text-secondary">${servedText}</span>
+						</div>
+					</div>`;
+				}).join('');
 			}
 		},
 		moon: {
@@ -0,0 +1,156 @@
+// sources.js
+
+/**
+ * Registro de fuentes de datos externas (elementos GP, SATCAT y lanzamientos).
+ * Cada conjunto de datos tiene una lista ordenada de fuentes (un endpoint y cómo llegar a él:
+ * directo o por un proxy CORS) con su propio tiempo límite. Se prueba una tras otra hasta que
+ * alguna responde; las que vienen fallando seguido pasan al final de la fila por un rato.
+ * El estado de cada fuente y cuál sirvió cada conjunto se guardan para mostrarlos en Ajustes.
+ */
+const sourceRegistry = {
+    healthStorageKey: 'satelitesarg_source_health',
+    // Después de tantos fallos seguidos, una fuente se deja para el final durante `cooldownMs`
+    maxConsecutiveFailures: 3,
+    cooldownMs: 10 * 60 * 1000,
+
+    PROXIES: {
+        direct: (url) => url,
+        corsproxy: (url) => `https://corsproxy.io/?${encodeURIComponent(url)}`,
+        codetabs: (url) => `https://api.codetabs.com/v1/proxy/?quest=${encodeURIComponent(url)}`,
+        allorigins: (url) => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`
+    },
+
+    // `{query}` se reemplaza por lo que pida cada llamada
+    DATASETS: {
+        gp: {
+            labelKey: 'sourceDatasetGp',
+            sources: [
+                { id: 'celestrak-corsproxy', url: 'https://celestrak.org/NORAD/elements/gp.php?{query}', proxy: 'corsproxy', timeoutMs: 15000 },
+                { id: 'celestrak-direct', url: 'https://celestrak.org/NORAD/elements/gp.php?{query}', proxy: 'direct', timeoutMs: 10000 },
+                { id: 'celestrak-allorigins', url: 'https://celestrak.org/NORAD/elements/gp.php?{query}', proxy: 'allorigins', timeoutMs: 20000 }
+            ]
+        },
+        satcat: {
+            labelKey: 'sourceDatasetSatcat',
+            sources: [
+                { id: 'celestrak-direct', url: 'https://celestrak.org/pub/satcat.json', proxy: 'direct', timeoutMs: 60000 },
+                { id: 'celestrak-corsproxy', url: 'https://celestrak.org/pub/satcat.json', proxy: 'corsproxy', timeoutMs: 90000 }
+            ]
+        },
+        launches: {
+            labelKey: 'sourceDatasetLaunches',
+            sources: [
+                { id: 'spacedevs-codetabs', url: 'https://ll.thespacedevs.com/2.2.0/launch/{query}', proxy: 'codetabs', timeoutMs: 15000 },
+                { id: 'spacedevs-direct', url: 'https://ll.thespacedevs.com/2.2.0/launch/{query}', proxy: 'direct', timeoutMs: 10000 },
+                { id: 'spacedevs-corsproxy', url: 'https://ll.thespacedevs.com/2.2.0/launch/{query}', proxy: 'corsproxy', timeoutMs: 15000 }
+            ]
+        }
+    },
+
+    _health: null,
+
+    /**
+     * Estado guardado: { sources: { 'dataset/fuente': {...} }, served: { dataset: { sourceId, time } } }.
+     */
+    getHealth() {
+        if (!this._health) {
+            try {
+                this._health = JSON.parse(localStorage.getItem(this.healthStorageKey)) || {};
+            } catch (e) {
+                this._health = {};
+            }
+            this._health.sources = this._health.sources || {};
+            this._health.served = this._health.served || {};
+        }
+        return this._health;
+    },
+
+    _saveHealth() {
+        try {
+            localStorage.setItem(this.healthStorageKey, JSON.stringify(this._health));
+        } catch (e) {
+            console.error("Error al guardar el estado de las fuentes:", e);
+        }
+    },
+
+    getSourceHealth(dataset, sourceId) {
+        const health = this.getHealth();
+        const key = `${dataset}/${sourceId}`;
+        if (!health.sources[key]) health.sources[key] = { consecutiveFailures: 0, lastSuccess: null, lastFailure: null, lastError: null, lastDurationMs: null };
+        return health.sources[key];
+    },
+
+    // Fuentes en el orden en que se van a probar: las que están en pausa por fallar, al final
+    getOrderedSources(dataset) {
+        const { sources } = this.DATASETS[dataset];
+        const isCoolingDown = (source) => {
+            const health = this.getSourceHealth(dataset, source.id);
+            return health.consecutiveFailures >= this.maxConsecutiveFailures && Date.now() - health.lastFailure < this.cooldownMs;
+        };
+        return [...sources.filter(s => !isCoolingDown(s)), ...sources.filter(isCoolingDown)];
+    },
+
+    async _fetchWithTimeout(url, timeoutMs) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+            return await response.text();
+        } catch (error) {
+            if (error.name === 'AbortError') throw new Error(`Sin respuesta en ${timeoutMs / 1000} s`);
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    },
+
+    /**
+     * Pide un recurso probando las fuentes del conjunto en orden.
+     * @param {string} dataset - Clave de DATASETS.
+     * @param {string} query - Texto que reemplaza `{query}` en la URL de la fuente.
+     * @param {object} options - { validate(text): boolean } para descartar respuestas que no sirven (p. ej. errores del proxy).
+     * @returns {Promise<string>} - El cuerpo de la primera respuesta válida.
+     */
+    async fetchText(dataset, query = '', options = {}) {
+        const { validate } = options;
+        const errors = [];
+        for (const source of this.getOrderedSources(dataset)) {
+            const url = this.PROXIES[source.proxy](source.url.replace('{query}', query));
+            const health = this.getSourceHealth(dataset, source.id);
+            const startTime = Date.now();
+            try {
+                const text = await this._fetchWithTimeout(url, source.timeoutMs);
+                if (validate && !validate(text)) throw new Error("Respuesta inválida");
+                Object.assign(health, { consecutiveFailures: 0, lastSuccess: Date.now(), lastDurationMs: Date.now() - startTime });
+                this.getHealth().served[dataset] = { sourceId: source.id, time: Date.now() };
+                this._saveHealth();
+                return text;
+            } catch (error) {
+                console.warn(`Fuente ${source.id} falló para ${dataset}:`, error.message);
+                Object.assign(health, { consecutiveFailures: health.consecutiveFailures + 1, lastFailure: Date.now(), lastError: error.message });
+                this._saveHealth();
+                errors.push(`${source.id}: ${error.message}`);
+            }
+        }
+        throw new Error(`Ninguna fuente respondió para ${dataset} (${errors.join('; ')})`);
+    },
+
+    /**
+     * Igual que fetchText, pero solo acepta respuestas que sean JSON. `options.validate` recibe los datos ya leídos.
+     */
+    async fetchJson(dataset, query = '', options = {}) {
+        let data;
+        await this.fetchText(dataset, query, {
+            validate: (body) => {
+                try {
+                    data = JSON.parse(body);
+                } catch (e) {
+                    return false;
+                }
+                return !options.validate || options.validate(data);
+            }
+        });
+        return data;
+    }
+};
@@ -0,0 +1,338 @@
+// storage.js
+
+/**
+ * Almacenamiento de los cachés grandes (SATCAT, TLE, lanzamientos y pases) y del historial
+ * de elementos orbitales en IndexedDB.
+ * localStorage queda para las preferencias y los datos chicos del usuario: su cupo de ~5 MB
+ * no alcanza para el SATCAT completo.
+ * Cada versión de la base agrega sus object stores en `UPGRADES`. La primera vez que se abre,
+ * los cachés que antes vivían en localStorage se copian acá y se borran de allá.
+ * Si IndexedDB no está disponible (algunos modos privados) se usa un Map en memoria.
+ */
+const storageManager = {
+    DB_NAME: 'satelitesarg',
+    DB_VERSION: 2,
+    CACHE_STORE: 'caches',
+    SATCAT_STORE: 'satcat',
+    HISTORY_STORE: 'tle_history',
+    SATCAT_META_KEY: 'satelitesarg_satcat_cache',
+
+    // Cambios de esquema, indexados por la versión de la base que los introduce
+    UPGRADES: {
+        1: (db) => {
+            db.createObjectStore('caches', { keyPath: 'key' });          // { key, timestamp, data }
+            db.createObjectStore('satcat', { keyPath: 'NORAD_CAT_ID' }); // Una entrada del SATCAT por registro
+        },
+        2: (db) => {
+            db.createObjectStore('tle_history', { keyPath: ['noradId', 'epoch'] }); // Un juego de elementos por satélite y época
+        }
+    },
+
+    // Cachés que antes se guardaban en localStorage como { timestamp, <field> }.
+    // Sin `field` se conserva el objeto entero (menos el timestamp).
+    LEGACY_CACHES: [
+        { key: 'satelitesarg_known_tles_cache', field: 'tles' },
+        { key: 'satelitesarg_brightest_tles_cache', field: 'sats' },
+        { key: 'satelitesarg_launches_cache', field: 'data' },
+        { key: 'satelitesarg_next_launch', field: 'data' },
+        { prefix: 'events_passes_cache_', field: 'passes' },
+        { prefix: 'best_passes_cache_' }
+    ],
+
+    // Se asigna desde la app para avisar al usuario cuando el navegador se queda sin espacio
+    onQuotaExceeded: null,
+    _dbPromise: null,
+    _memory: null,
+    _memoryHistory: null,
+
+    /**
+     * Abre la base (una sola vez) y migra los cachés viejos. Resuelve a null si se usa la memoria.
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this._dbPromise) {
+            this._dbPromise = this._openDatabase()
+                .then(async (db) => {
+                    await this._migrateLocalStorage(db);
+                    return db;
+                })
+                .catch((error) => {
+                    console.error("IndexedDB no disponible, se usa un caché en memoria:", error);
+                    this._memory = new Map();
+                    this._memoryHistory = new Map();
+                    return null;
+                });
+        }
+        return this._dbPromise;
+    },
+
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("Este navegador no tiene IndexedDB."));
+                return;
+            }
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion + 1; version <= this.DB_VERSION; version++) {
+                    if (this.UPGRADES[version]) this.UPGRADES[version](request.result);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Si otra pestaña abre una versión más nueva, se cierra esta conexión para no bloquearla
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Ejecuta una operación sobre un store y resuelve con su resultado cuando termina la transacción
+    _run(db, storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    _handleWriteError(error, key) {
+        console.error(`Error al guardar "${key}" en IndexedDB:`, error);
+        if (error && error.name === 'QuotaExceededError' && typeof this.onQuotaExceeded === 'function') {
+            this.onQuotaExceeded(key);
+        }
+    },
+
+    /**
+     * Lee un caché.
+     * @param {string} key
+     * @returns {Promise<{key: string, timestamp: number, data: *}|null>}
+     */
+    async get(key) {
+        const db = await this.open();
+        if (!db) return this._memory.get(key) || null;
+        try {
+            return (await this._run(db, this.CACHE_STORE, 'readonly', store => store.get(key))) || null;
+        } catch (error) {
+            console.error(`Error al leer "${key}" de IndexedDB:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Guarda un caché. Los datos se guardan por clonado estructurado, así que las fechas siguen siendo Date.
+     * @returns {Promise<boolean>} - false si no se pudo guardar.
+     */
+    async set(key, data, timestamp = Date.now()) {
+        const record = { key, timestamp, data };
+        const db = await this.open();
+        if (!db) {
+            this._memory.set(key, record);
+            return true;
+        }
+        try {
+            await this._run(db, this.CACHE_STORE, 'readwrite', store => store.put(record));
+            return true;
+        } catch (error) {
+            this._handleWriteError(error, key);
+            return false;
+        }
+    },
+
+    async remove(key) {
+        const db = await this.open();
+        if (!db) {
+            this._memory.delete(key);
+            return;
+        }
+        try {
+            await this._run(db, this.CACHE_STORE, 'readwrite', store => store.delete(key));
+        } catch (error) {
+            console.error(`Error al borrar "${key}" de IndexedDB:`, error);
+        }
+    },
+
+    /**
+     * Borra los cachés cuya clave empieza con alguno de los prefijos y que tienen más de `maxAge` ms.
+     * Los cachés de pases se guardan por ubicación y ajustes, así que sin esto crecen sin límite.
+     */
+    async removeExpired(prefixes, maxAge) {
+        const db = await this.open();
+        const isExpired = (record) => prefixes.some(prefix => record.key.startsWith(prefix)) && Date.now() - record.timestamp > maxAge;
+        if (!db) {
+            [...this._memory.values()].filter(isExpired).forEach(record => this._memory.delete(record.key));
+            return;
+        }
+        try {
+            await this._run(db, this.CACHE_STORE, 'readwrite', (store) => {
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (isExpired(cursor.value)) cursor.delete();
+                    cursor.continue();
+                };
+                return null;
+            });
+        } catch (error) {
+            console.error("Error al limpiar cachés vencidos:", error);
+        }
+    },
+
+    /**
+     * Lee el SATCAT completo.
+     * @returns {Promise<{timestamp: number, records: object[]}|null>}
+     */
+    async getSatcat() {
+        const meta = await this.get(this.SATCAT_META_KEY);
+        if (!meta) return null;
+        const db = await this.open();
+        if (!db) return { timestamp: meta.timestamp, records: meta.data };
+        try {
+            const records = await this._run(db, this.SATCAT_STORE, 'readonly', store => store.getAll());
+            return { timestamp: meta.timestamp, records };
+        } catch (error) {
+            console.error("Error al leer el SATCAT de IndexedDB:", error);
+            return null;
+        }
+    },
+
+    /**
+     * Reemplaza el SATCAT guardado. La fecha de descarga se guarda aparte, en el store de cachés.
+     * @returns {Promise<boolean>}
+     */
+    async saveSatcat(records, timestamp = Date.now()) {
+        const db = await this.open();
+        if (!db) return this.set(this.SATCAT_META_KEY, records, timestamp);
+        try {
+            await this._run(db, this.SATCAT_STORE, 'readwrite', (store) => {
+                store.clear();
+                records.forEach(record => store.put(record));
+                return null;
+            });
+        } catch (error) {
+            this._handleWriteError(error, this.SATCAT_META_KEY);
+            return false;
+        }
+        return this.set(this.SATCAT_META_KEY, records.length, timestamp);
+    },
+
+    /**
+     * Agrega juegos de elementos al historial. Uno con el mismo satélite y época reemplaza al anterior,
+     * así que volver a descargar los mismos elementos no duplica nada.
+     * @param {object[]} records - { noradId, epoch (ms), ... }
+     * @returns {Promise<boolean>}
+     */
+    async addElementSetHistory(records) {
+        if (records.length === 0) return true;
+        const db = await this.open();
+        if (!db) {
+            records.forEach(record => this._memoryHistory.set(`${record.noradId}/${record.epoch}`, record));
+            return true;
+        }
+        try {
+            await this._run(db, this.HISTORY_STORE, 'readwrite', (store) => {
+                records.forEach(record => store.put(record));
+                return null;
+            });
+            return true;
+        } catch (error) {
+            this._handleWriteError(error, this.HISTORY_STORE);
+            return false;
+        }
+    },
+
+    /**
+     * Historial de un satélite, ordenado por época.
+     * @param {number} noradId
+     * @returns {Promise<object[]>}
+     */
+    async getElementSetHistory(noradId) {
+        const db = await this.open();
+        if (!db) return [...this._memoryHistory.values()].filter(record => record.noradId === noradId).sort((a, b) => a.epoch - b.epoch);
+        try {
+            return await this._run(db, this.HISTORY_STORE, 'readonly', store => store.getAll(IDBKeyRange.bound([noradId, -Infinity], [noradId, Infinity])));
+        } catch (error) {
+            console.error(`Error al leer el historial de ${noradId}:`, error);
+            return [];
+        }
+    },
+
+    // Borra del historial los juegos de elementos con época de hace más de `maxAge` ms
+    async removeOldElementSetHistory(maxAge) {
+        const db = await this.open();
+        const isOld = (record) => Date.now() - record.epoch > maxAge;
+        if (!db) {
+            [...this._memoryHistory.entries()].filter(([, record]) => isOld(record)).forEach(([key]) => this._memoryHistory.delete(key));
+            return;
+        }
+        try {
+            await this._run(db, this.HISTORY_STORE, 'readwrite', (store) => {
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (isOld(cursor.value)) cursor.delete();
+                    cursor.continue();
+                };
+                return null;
+            });
+        } catch (error) {
+            console.error("Error al limpiar el historial de elementos:", error);
+        }
+    },
+
+    /**
+     * Espacio usado y disponible para el sitio, según el navegador.
+     * @returns {Promise<{usage: number, quota: number}|null>} - Bytes, o null si el navegador no lo informa.
+     */
+    async getUsage() {
+        if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            console.error("No se pudo estimar el espacio usado:", error);
+            return null;
+        }
+    },
+
+    // Copia los cachés de localStorage a IndexedDB y los borra de localStorage para liberar su cupo
+    async _migrateLocalStorage(db) {
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) legacyKeys.push(localStorage.key(i));
+
+        // El SATCAT viejo se guardaba como las entradas de un Map: [[NORAD, registro], ...]
+        if (legacyKeys.includes(this.SATCAT_META_KEY)) {
+            try {
+                const legacy = JSON.parse(localStorage.getItem(this.SATCAT_META_KEY));
+                if (legacy && Array.isArray(legacy.data)) {
+                    await this._run(db, this.SATCAT_STORE, 'readwrite', (store) => {
+                        legacy.data.forEach(([, record]) => store.put(record));
+                        return null;
+                    });
+                    await this._run(db, this.CACHE_STORE, 'readwrite', store => store.put({ key: this.SATCAT_META_KEY, timestamp: legacy.timestamp, data: legacy.data.length }));
+                }
+            } catch (error) {
+                console.error("Error al migrar el SATCAT a IndexedDB:", error);
+            }
+            localStorage.removeItem(this.SATCAT_META_KEY);
+        }
+
+        for (const key of legacyKeys) {
+            const legacyCache = this.LEGACY_CACHES.find(c => c.key === key || (c.prefix && key.startsWith(c.prefix)));
+            if (!legacyCache) continue;
+            try {
+                const { timestamp, ...rest } = JSON.parse(localStorage.getItem(key)) || {};
+                const data = legacyCache.field ? rest[legacyCache.field] : rest;
+                if (timestamp && data !== undefined) {
+                    await this._run(db, this.CACHE_STORE, 'readwrite', store => store.put({ key, timestamp, data }));
+                }
+            } catch (error) {
+                console.error(`Error al migrar "${key}" a IndexedDB:`, error);
+            }
+            localStorage.removeItem(key);
+        }
+    }
+};
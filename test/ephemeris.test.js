@@ -0,0 +1,43 @@
+// test/ephemeris.test.js
+// Compara ephemeris.js con los ejemplos resueltos de Meeus, "Astronomical Algorithms" (2.ª ed.).
+// Se corre con `node --test test/` (no hace falta instalar nada: el módulo no usa satellite.js acá).
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// ephemeris.js es un script de navegador que declara un global: se evalúa en un contexto aparte
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'ephemeris.js'), 'utf8'), context);
+const ephemeris = vm.runInContext('ephemeris', context);
+
+// Los ejemplos están dados en tiempo dinámico (TD); la app recibe UTC y le suma DELTA_T_SECONDS
+function fromDynamicTime(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day) - ephemeris.DELTA_T_SECONDS * 1000);
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    const difference = Math.abs(actual - expected);
+    assert.ok(difference <= tolerance, `${label}: ${actual} difiere de ${expected} en ${difference} (tolerancia ${tolerance})`);
+}
+
+test('Sol: ejemplo 25.a (1992 oct 13.0 TD)', () => {
+    const sun = ephemeris.sunPosition(fromDynamicTime(1992, 10, 13));
+    // Meeus usa una nutación simplificada en este ejemplo; acá va la del cap. 22, de ahí ~1″ de diferencia
+    assertClose(sun.lambda, 199.90895, 0.001, 'longitud aparente (°)');
+    assertClose(sun.ra, 198.38083, 0.001, 'ascensión recta (°)');
+    assertClose(sun.dec, -7.78507, 0.001, 'declinación (°)');
+    assertClose(sun.distance / ephemeris.AU_KM, 0.99766, 0.00001, 'distancia (UA)');
+});
+
+test('Luna: ejemplo 47.a (1992 abr 12.0 TD)', () => {
+    const moon = ephemeris.moonPosition(fromDynamicTime(1992, 4, 12));
+    // La app corrige por tiempo de luz (~1.3 s, menos de 1″ de movimiento), que el ejemplo no incluye
+    assertClose(moon.lambda, 133.167265, 0.0005, 'longitud aparente (°)');
+    assertClose(moon.beta, -3.229126, 0.0005, 'latitud (°)');
+    assertClose(moon.ra, 134.688470, 0.0005, 'ascensión recta (°)');
+    assertClose(moon.dec, 13.768368, 0.0005, 'declinación (°)');
+    assertClose(moon.distance, 368409.7, 0.1, 'distancia (km)');
+});
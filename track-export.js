@@ -0,0 +1,252 @@
+// track-export.js
+
+/**
+ * Exportación de lo dibujado en el mapa (trazas, trayectorias de pasos y bandas de visibilidad)
+ * a GeoJSON, KML y GPX. Recibe los puntos ya calculados por la app, con hora, altitud y visibilidad,
+ * y devuelve el texto del archivo. Las longitudes pueden venir continuas (más allá de ±180):
+ * acá se normalizan y las líneas y los polígonos se cortan en el antimeridiano.
+ * No depende de ninguna librería.
+ */
+const trackExporter = {
+    CREATOR: 'SatelitesArg',
+    GPX_NAMESPACE: 'https://satelitesarg.com/gpx/1',
+    // Colores KML (aabbggrr): visible, al sol, eclipsado y bandas
+    KML_COLORS: { visible: 'ff53d339', track: 'ff30b5f7', eclipsed: 'ffc9406e', band: '4053d339' },
+
+    /*
+     * Los datos de entrada tienen esta forma:
+     * {
+     *   name: string,
+     *   tracks: [{ name, kind: 'groundTrack'|'pass', points: [{ time (ms), lat, lon, height (km), isVisible, sunlit?, elevation? }] }],
+     *   areas: [{ name, minElevation, ring: [[lat, lon], ...] }]
+     * }
+     */
+
+    normalizeLon(lon) {
+        return ((lon + 180) % 360 + 360) % 360 - 180;
+    },
+
+    _escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+    },
+
+    _iso(time) {
+        return new Date(time).toISOString();
+    },
+
+    // Tramos consecutivos con la misma visibilidad; cada uno arranca en el último punto del anterior
+    _splitByVisibility(points) {
+        const segments = [];
+        points.forEach((point, index) => {
+            const current = segments[segments.length - 1];
+            if (!current || current.isVisible !== !!point.isVisible) {
+                segments.push({ isVisible: !!point.isVisible, points: index > 0 ? [points[index - 1]] : [] });
+            }
+            segments[segments.length - 1].points.push(point);
+        });
+        return segments.filter(segment => segment.points.length > 1);
+    },
+
+    /**
+     * Corta una línea de longitudes continuas donde cruza el antimeridiano, interpolando el punto del cruce.
+     * @returns {object[][]} - Tramos con las longitudes ya normalizadas.
+     */
+    _splitAtAntimeridian(points) {
+        const pieces = [[]];
+        points.forEach((point, index) => {
+            if (index > 0) {
+                const previous = points[index - 1];
+                const crossings = Math.floor((point.lon + 180) / 360) - Math.floor((previous.lon + 180) / 360);
+                if (crossings !== 0) {
+                    const boundary = Math.max(previous.lon, point.lon) - ((Math.max(previous.lon, point.lon) + 180) % 360 + 360) % 360;
+                    const fraction = (boundary - previous.lon) / (point.lon - previous.lon);
+                    const interpolated = {
+                        ...previous,
+                        time: previous.time + (point.time - previous.time) * fraction,
+                        lat: previous.lat + (point.lat - previous.lat) * fraction,
+                        height: previous.height + (point.height - previous.height) * fraction
+                    };
+                    const eastward = point.lon > previous.lon;
+                    pieces[pieces.length - 1].push({ ...interpolated, lon: eastward ? 180 : -180 });
+                    pieces.push([{ ...interpolated, lon: eastward ? -180 : 180 }]);
+                    // Si el punto cae justo sobre el antimeridiano ya quedó como inicio del tramo nuevo
+                    if (fraction >= 1) return;
+                }
+            }
+            pieces[pieces.length - 1].push({ ...point, lon: this.normalizeLon(point.lon) });
+        });
+        return pieces.filter(piece => piece.length > 1);
+    },
+
+    // Anillo cerrado con la primera longitud dentro de ±180 (el resto se deja continuo para no deformar la banda)
+    _closedRing(ring) {
+        const shift = this.normalizeLon(ring[0][1]) - ring[0][1];
+        const shifted = ring.map(([lat, lon]) => [lat, lon + shift]);
+        shifted.push(shifted[0]);
+        return shifted;
+    },
+
+    // Recorte de Sutherland–Hodgman de un anillo abierto contra el meridiano `limit` (se queda con el lado oeste o el este)
+    _clipRing(ring, limit, keepWest) {
+        const inside = ([, lon]) => keepWest ? lon <= limit : lon >= limit;
+        const clipped = [];
+        ring.forEach((point, index) => {
+            const previous = ring[(index + ring.length - 1) % ring.length];
+            if (inside(point) !== inside(previous)) {
+                const fraction = (limit - previous[1]) / (point[1] - previous[1]);
+                clipped.push([previous[0] + (point[0] - previous[0]) * fraction, limit]);
+            }
+            if (inside(point)) clipped.push(point);
+        });
+        return clipped;
+    },
+
+    /**
+     * Parte un anillo de longitudes continuas en un anillo cerrado por cada copia del mundo que toca,
+     * recortado en ±180 y trasladado a esa franja: GeoJSON (RFC 7946) no admite longitudes fuera de rango.
+     * @returns {number[][][]} - Anillos cerrados de [lat, lon].
+     */
+    _splitRingAtAntimeridian(ring) {
+        const lons = ring.map(([, lon]) => lon);
+        const firstWorld = Math.floor((Math.min(...lons) + 180) / 360);
+        const lastWorld = Math.ceil((Math.max(...lons) - 180) / 360);
+        const rings = [];
+        for (let world = firstWorld; world <= lastWorld; world++) {
+            const west = world * 360 - 180;
+            const piece = this._clipRing(this._clipRing(ring, west, false), west + 360, true);
+            // Un recorte que solo roza el borde no tiene superficie
+            if (piece.length < 3 || !piece.some(([, lon]) => lon > west && lon < west + 360)) continue;
+            const shifted = piece.map(([lat, lon]) => [lat, lon - world * 360]);
+            shifted.push(shifted[0]);
+            rings.push(shifted);
+        }
+        return rings;
+    },
+
+    toGeoJson(data) {
+        const features = [];
+        data.tracks.forEach(track => {
+            this._splitByVisibility(track.points).forEach(segment => {
+                this._splitAtAntimeridian(segment.points).forEach(piece => {
+                    const properties = {
+                        name: track.name,
+                        kind: track.kind,
+                        visible: segment.isVisible,
+                        startTime: this._iso(piece[0].time),
+                        endTime: this._iso(piece[piece.length - 1].time),
+                        coordTimes: piece.map(p => this._iso(p.time))
+                    };
+                    if (piece.some(p => p.sunlit !== undefined)) properties.sunlit = piece.map(p => p.sunlit);
+                    if (piece.some(p => p.elevation !== undefined)) properties.elevations = piece.map(p => Math.round(p.elevation * 10) / 10);
+                    features.push({
+                        type: 'Feature',
+                        properties,
+                        // La altura va en metros, como tercer valor de cada coordenada
+                        geometry: { type: 'LineString', coordinates: piece.map(p => [p.lon, p.lat, Math.round(p.height * 1000)]) }
+                    });
+                });
+            });
+        });
+        data.areas.forEach(area => {
+            const polygons = this._splitRingAtAntimeridian(area.ring).map(ring => [ring.map(([lat, lon]) => [lon, lat])]);
+            if (polygons.length === 0) return;
+            features.push({
+                type: 'Feature',
+                properties: { name: area.name, kind: 'visibilityBand', minElevation: area.minElevation },
+                geometry: polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons }
+            });
+        });
+        return JSON.stringify({ type: 'FeatureCollection', name: data.name, features }, null, 2);
+    },
+
+    /**
+     * KML para Google Earth: cada intervalo entre dos muestras es un Placemark con su TimeSpan,
+     * así la barra de tiempo reproduce el recorrido.
+     */
+    toKml(data) {
+        const esc = (text) => this._escapeXml(text);
+        const coordinate = (p) => `${this.normalizeLon(p.lon).toFixed(5)},${p.lat.toFixed(5)},${Math.round(p.height * 1000)}`;
+        const styleOf = (p) => p.isVisible ? 'visible' : (p.sunlit === false ? 'eclipsed' : 'track');
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            `<name>${esc(data.name)}</name>`
+        ];
+        ['visible', 'track', 'eclipsed'].forEach(style => {
+            lines.push(`<Style id="${style}"><LineStyle><color>${this.KML_COLORS[style]}</color><width>${style === 'visible' ? 4 : 2}</width></LineStyle></Style>`);
+        });
+        lines.push(`<Style id="band"><LineStyle><color>${this.KML_COLORS.visible}</color><width>1</width></LineStyle><PolyStyle><color>${this.KML_COLORS.band}</color></PolyStyle></Style>`);
+
+        data.tracks.forEach(track => {
+            lines.push('<Folder>', `<name>${esc(track.name)}</name>`);
+            track.points.forEach((point, index) => {
+                if (index === 0) return;
+                const previous = track.points[index - 1];
+                const extended = [
+                    ['altitudeKm', previous.height.toFixed(1)],
+                    ['visible', !!previous.isVisible],
+                    ...(previous.sunlit !== undefined ? [['sunlit', previous.sunlit]] : []),
+                    ...(previous.elevation !== undefined ? [['elevation', previous.elevation.toFixed(1)]] : [])
+                ].map(([name, value]) => `<Data name="${name}"><value>${value}</value></Data>`).join('');
+                lines.push(
+                    '<Placemark>',
+                    `<name>${this._iso(previous.time).substring(11, 19)}</name>`,
+                    `<TimeSpan><begin>${this._iso(previous.time)}</begin><end>${this._iso(point.time)}</end></TimeSpan>`,
+                    `<styleUrl>#${styleOf(previous)}</styleUrl>`,
+                    `<ExtendedData>${extended}</ExtendedData>`,
+                    `<LineString><altitudeMode>absolute</altitudeMode><coordinates>${coordinate(previous)} ${coordinate(point)}</coordinates></LineString>`,
+                    '</Placemark>'
+                );
+            });
+            lines.push('</Folder>');
+        });
+
+        data.areas.forEach(area => {
+            const coordinates = this._closedRing(area.ring).map(([lat, lon]) => `${this.normalizeLon(lon).toFixed(5)},${lat.toFixed(5)},0`).join(' ');
+            lines.push(
+                '<Placemark>',
+                `<name>${esc(area.name)}</name>`,
+                '<styleUrl>#band</styleUrl>',
+                `<ExtendedData><Data name="minElevation"><value>${area.minElevation}</value></Data></ExtendedData>`,
+                `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`,
+                '</Placemark>'
+            );
+        });
+        lines.push('</Document>', '</kml>');
+        return lines.join('\n');
+    },
+
+    /**
+     * GPX 1.1 con un <trk> por trayectoria y un <trkseg> por tramo de igual visibilidad.
+     * GPX no tiene polígonos, así que las bandas de visibilidad no se incluyen.
+     */
+    toGpx(data) {
+        const esc = (text) => this._escapeXml(text);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${this.CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:sat="${this.GPX_NAMESPACE}">`,
+            `<metadata><name>${esc(data.name)}</name><time>${this._iso(Date.now())}</time></metadata>`
+        ];
+        data.tracks.forEach(track => {
+            lines.push('<trk>', `<name>${esc(track.name)}</name>`, `<type>${track.kind}</type>`);
+            this._splitByVisibility(track.points).forEach(segment => {
+                this._splitAtAntimeridian(segment.points).forEach(piece => {
+                    lines.push('<trkseg>');
+                    piece.forEach(p => {
+                        const extensions = [
+                            `<sat:visible>${!!p.isVisible}</sat:visible>`,
+                            ...(p.sunlit !== undefined ? [`<sat:sunlit>${p.sunlit}</sat:sunlit>`] : []),
+                            ...(p.elevation !== undefined ? [`<sat:elevation>${p.elevation.toFixed(1)}</sat:elevation>`] : [])
+                        ].join('');
+                        lines.push(`<trkpt lat="${p.lat.toFixed(5)}" lon="${p.lon.toFixed(5)}"><ele>${Math.round(p.height * 1000)}</ele><time>${this._iso(p.time)}</time><extensions>${extensions}</extensions></trkpt>`);
+                    });
+                    lines.push('</trkseg>');
+                });
+            });
+            lines.push('</trk>');
+        });
+        lines.push('</gpx>');
+        return lines.join('\n');
+    }
+};
@@ -0,0 +1,224 @@
+// transit-finder.js
+
+/**
+ * Búsqueda de tránsitos de satélites frente al disco del Sol o de la Luna.
+ * Parte de los pases de `passCalculator` (en modo radio: el Sol de día no importa) y, en los que
+ * el satélite se acerca al astro, proyecta el satélite sobre el suelo en la dirección del astro.
+ * Esa proyección es la línea central: desde ahí el satélite cruza justo por el centro del disco.
+ * Solo depende de `satellite`, `ephemeris` y `passCalculator`.
+ */
+const transitFinder = {
+    defaults: {
+        days: 14,
+        maxDistanceKm: 50,       // Distancia máxima del observador a la línea central
+        centreLineSeconds: 40,   // Tramo de la línea central a cada lado del máximo acercamiento
+        centreLineStepMs: 500,
+        toleranceMs: 20
+    },
+    EARTH_A: 6378.137,
+    EARTH_B: 6356.752,
+    BODY_RADIUS_KM: { sun: 696000, moon: 1737.4 },
+
+    _sub(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }; },
+    _dot(a, b) { return a.x * b.x + a.y * b.y + a.z * b.z; },
+    _norm(a) { return Math.hypot(a.x, a.y, a.z); },
+    _unit(a) { const n = this._norm(a); return { x: a.x / n, y: a.y / n, z: a.z / n }; },
+    _cross(a, b) { return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x }; },
+
+    _bodyEci(body, time) {
+        return body === 'sun' ? ephemeris.getSunEci(time) : ephemeris.getMoonEci(time);
+    },
+
+    _distanceKm(lat1, lon1, lat2, lon2) {
+        const toRad = satellite.degreesToRadians;
+        const dLat = toRad(lat2 - lat1), dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+    },
+
+    /**
+     * Separación angular entre el satélite y el centro del astro vista desde el observador.
+     * @returns {{separation: number, bodyRadius: number, satElevation: number, bodyElevation: number, bodyAzimuth: number, range: number}|null} - Grados y km.
+     */
+    _separationAt(satrec, observerGd, body, time) {
+        try {
+            const posVel = satellite.propagate(satrec, time);
+            if (!posVel.position) return null;
+            const gmst = satellite.gstime(time);
+            const observerEci = satellite.ecfToEci(satellite.geodeticToEcf(observerGd), gmst);
+            const bodyEci = this._bodyEci(body, time);
+            const toSat = this._sub(posVel.position, observerEci);
+            const toBody = this._sub(bodyEci, observerEci);
+            const range = this._norm(toSat), bodyDistance = this._norm(toBody);
+            const cosSeparation = this._dot(toSat, toBody) / (range * bodyDistance);
+
+            const satLook = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(posVel.position, gmst));
+            const bodyLook = ephemeris.lookAngles(bodyEci, time, observerGd);
+            return {
+                separation: satellite.radiansToDegrees(Math.acos(Math.max(-1, Math.min(1, cosSeparation)))),
+                bodyRadius: satellite.radiansToDegrees(Math.asin(this.BODY_RADIUS_KM[body] / bodyDistance)),
+                satElevation: satellite.radiansToDegrees(satLook.elevation),
+                bodyElevation: bodyLook.elevation,
+                bodyAzimuth: bodyLook.azimuth,
+                range
+            };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Intersección de un rayo (km, ECI) con el elipsoide WGS84: se escala el eje z
+     * para convertirlo en una esfera y se toma la primera solución positiva.
+     */
+    _intersectEarth(origin, direction) {
+        const k = this.EARTH_A / this.EARTH_B;
+        const o = { x: origin.x, y: origin.y, z: origin.z * k };
+        const d = { x: direction.x, y: direction.y, z: direction.z * k };
+        const a = this._dot(d, d), b = 2 * this._dot(o, d), c = this._dot(o, o) - this.EARTH_A ** 2;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        if (t <= 0) return null;
+        return { x: origin.x + t * direction.x, y: origin.y + t * direction.y, z: origin.z + t * direction.z };
+    },
+
+    /**
+     * Punto del suelo desde el que el satélite se ve a `offset` radianes del centro del astro,
+     * desplazado hacia un costado de la traza. Con offset 0 es un punto de la línea central.
+     * Como suelo, satélite y astro quedan alineados, la dirección al astro se toma desde el satélite.
+     * @returns {{lat: number, lon: number}|null} - Grados, o null si el rayo no toca la Tierra o el astro está bajo el horizonte.
+     */
+    _projectToGround(position, velocity, bodyEci, gmst, offset = 0) {
+        let direction = this._unit(this._sub(bodyEci, position));
+        if (offset !== 0) {
+            const across = this._unit(this._sub(velocity, { x: direction.x * this._dot(velocity, direction), y: direction.y * this._dot(velocity, direction), z: direction.z * this._dot(velocity, direction) }));
+            const side = this._cross(across, direction);
+            direction = this._unit({
+                x: direction.x * Math.cos(offset) + side.x * Math.sin(offset),
+                y: direction.y * Math.cos(offset) + side.y * Math.sin(offset),
+                z: direction.z * Math.cos(offset) + side.z * Math.sin(offset)
+            });
+        }
+        const ground = this._intersectEarth(position, { x: -direction.x, y: -direction.y, z: -direction.z });
+        if (!ground || this._dot(direction, this._unit(ground)) <= 0) return null;
+        const gd = satellite.eciToGeodetic(ground, gmst);
+        return { lat: satellite.radiansToDegrees(gd.latitude), lon: satellite.radiansToDegrees(gd.longitude) };
+    },
+
+    /**
+     * Duración (s) del cruce del disco para un observador que lo ve en `time`; 0 si en ese instante no está dentro.
+     */
+    _transitDuration(satrec, observerGd, body, time) {
+        const { toleranceMs } = this.defaults;
+        const inside = (t) => {
+            const sep = this._separationAt(satrec, observerGd, body, new Date(t));
+            return !!sep && sep.separation < sep.bodyRadius;
+        };
+        if (!inside(time)) return 0;
+        let before = time - 1000, after = time + 1000;
+        while (inside(before) && time - before < 60000) before -= 1000;
+        while (inside(after) && after - time < 60000) after += 1000;
+        const entry = passCalculator._findTransition(before, time, inside, toleranceMs);
+        const exit = passCalculator._findTransition(time, after, inside, toleranceMs);
+        return (exit - entry) / 1000;
+    },
+
+    /**
+     * Busca tránsitos del satélite frente al Sol y la Luna cuya línea central pase a menos
+     * de `maxDistanceKm` del observador.
+     * @param {{satrec: object, name: string}} sat - Satélite con su satrec.
+     * @param {number[]} coords - [latitud, longitud] del observador en grados.
+     * @param {object} options - { days, startDate, maxDistanceKm, observerHeight, bodies }.
+     * @returns {object[]} - Tránsitos ordenados por fecha, con la línea central y la franja en el suelo.
+     */
+    findTransits(sat, coords, options = {}) {
+        const { days, startDate = new Date(), maxDistanceKm, observerHeight = 0, bodies = ['sun', 'moon'] } = { ...this.defaults, ...options };
+        const observerGd = { latitude: satellite.degreesToRadians(coords[0]), longitude: satellite.degreesToRadians(coords[1]), height: observerHeight };
+        const passes = passCalculator.calculateVisiblePasses(sat, coords, { days, startDate, radio: true, minElevation: 0, observerHeight, maxPasses: Infinity });
+
+        const transits = [];
+        passes.forEach(pass => {
+            bodies.forEach(body => {
+                // Con el astro bajo el horizonte durante el pase no hay nada que buscar
+                if (ephemeris.lookAngles(this._bodyEci(body, pass.tca), pass.tca, observerGd).elevation < -5) return;
+                const separationAt = (t) => this._separationAt(sat.satrec, observerGd, body, new Date(t));
+                const times = pass.points.map(p => p.time.getTime());
+
+                let bestIndex = -1, best = null;
+                times.forEach((t, i) => {
+                    const sep = separationAt(t);
+                    if (sep && (!best || sep.separation < best.separation)) { best = sep; bestIndex = i; }
+                });
+                if (!best) return;
+
+                const t0 = times[Math.max(0, bestIndex - 1)], t1 = times[Math.min(times.length - 1, bestIndex + 1)];
+                const peak = passCalculator._findMaximum(t0, t1, (t) => { const sep = separationAt(t); return sep ? -sep.separation : -180; }, this.defaults.toleranceMs);
+                const closest = separationAt(peak.time);
+                if (!closest || closest.bodyElevation <= 0) return;
+
+                // Alejarse D km del lugar mueve al satélite como mucho D / distancia radianes respecto del astro
+                const reach = closest.bodyRadius + satellite.radiansToDegrees(maxDistanceKm / closest.range);
+                if (closest.separation > reach) return;
+
+                const transit = this._buildTransit(sat, coords, observerGd, body, peak.time, closest, maxDistanceKm);
+                if (transit) transits.push(transit);
+            });
+        });
+        return transits.sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Traza la línea central y los bordes de la franja alrededor del máximo acercamiento
+     * y arma el objeto del tránsito. Devuelve null si la línea central queda lejos del observador.
+     */
+    _buildTransit(sat, coords, observerGd, body, closestTime, closest, maxDistanceKm) {
+        const { centreLineSeconds, centreLineStepMs } = this.defaults;
+        // Longitudes continuas alrededor del observador para que la línea no salte en el antimeridiano
+        const unwrap = (lon) => lon + 360 * Math.round((coords[1] - lon) / 360);
+
+        const centreLine = [], leftEdge = [], rightEdge = [];
+        let nearest = null;
+        for (let t = closestTime - centreLineSeconds * 1000; t <= closestTime + centreLineSeconds * 1000; t += centreLineStepMs) {
+            const time = new Date(t);
+            const posVel = satellite.propagate(sat.satrec, time);
+            if (!posVel.position) continue;
+            const gmst = satellite.gstime(time);
+            const bodyEci = this._bodyEci(body, time);
+            const centre = this._projectToGround(posVel.position, posVel.velocity, bodyEci, gmst);
+            if (!centre) continue;
+
+            centreLine.push([centre.lat, unwrap(centre.lon)]);
+            const bodyRadius = Math.asin(this.BODY_RADIUS_KM[body] / this._norm(this._sub(bodyEci, posVel.position)));
+            const left = this._projectToGround(posVel.position, posVel.velocity, bodyEci, gmst, bodyRadius);
+            const right = this._projectToGround(posVel.position, posVel.velocity, bodyEci, gmst, -bodyRadius);
+            if (left && right) {
+                leftEdge.push([left.lat, unwrap(left.lon)]);
+                rightEdge.push([right.lat, unwrap(right.lon)]);
+            }
+
+            const distance = this._distanceKm(coords[0], coords[1], centre.lat, centre.lon);
+            if (!nearest || distance < nearest.distance) nearest = { distance, time: t, lat: centre.lat, lon: unwrap(centre.lon) };
+        }
+        if (!nearest || nearest.distance > maxDistanceKm || centreLine.length < 2) return null;
+
+        const centreGd = { latitude: satellite.degreesToRadians(nearest.lat), longitude: satellite.degreesToRadians(nearest.lon), height: observerGd.height };
+        return {
+            satName: sat.name,
+            body,
+            time: new Date(closestTime),
+            separation: closest.separation,
+            bodyRadius: closest.bodyRadius,
+            duration: this._transitDuration(sat.satrec, observerGd, body, closestTime),
+            satElevation: closest.satElevation,
+            bodyElevation: closest.bodyElevation,
+            bodyAzimuth: closest.bodyAzimuth,
+            centreTime: new Date(nearest.time),
+            centreDistance: nearest.distance,
+            centreDuration: this._transitDuration(sat.satrec, centreGd, body, nearest.time),
+            nearestPoint: [nearest.lat, nearest.lon],
+            centreLine,
+            groundPath: [...leftEdge, ...rightEdge.reverse()]
+        };
+    }
+};